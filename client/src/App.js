@@ -1,15 +1,57 @@
-import React from 'react';
+import React, { useState, useCallback } from 'react';
+import { BrowserRouter } from 'react-router-dom';
 import { AuctionProvider } from './context/AuctionContext';
 import Dashboard from './components/Dashboard';
+import Login from './components/Login';
+import { setAuthToken } from './utils/api';
 import './styles/App.css';
 
+const AUTH_STORAGE_KEY = 'auctionmania.auth';
+
+const loadStoredAuth = () => {
+  try {
+    const auth = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+    if (auth?.token && auth?.user) {
+      setAuthToken(auth.token);
+      return auth;
+    }
+  } catch (error) {
+    console.error('Failed to read stored session:', error);
+  }
+  return null;
+};
+
 function App() {
+  const [auth, setAuth] = useState(loadStoredAuth);
+
+  const handleAuthenticated = useCallback(({ user, token }) => {
+    setAuthToken(token);
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify({ user, token }));
+    setAuth({ user, token });
+  }, []);
+
+  const handleLogout = useCallback(() => {
+    setAuthToken(null);
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+    setAuth(null);
+  }, []);
+
   return (
-    <AuctionProvider>
-      <div className="app">
-        <Dashboard />
-      </div>
-    </AuctionProvider>
+    <BrowserRouter>
+      <AuctionProvider>
+        <div className="app">
+          {auth ? (
+            <Dashboard
+              user={auth.user}
+              token={auth.token}
+              onLogout={handleLogout}
+            />
+          ) : (
+            <Login onAuthenticated={handleAuthenticated} />
+          )}
+        </div>
+      </AuctionProvider>
+    </BrowserRouter>
   );
 }
 
@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  fetchAdminAuctions,
+  fetchAdminBids,
+  moderateAuction,
+  voidBid,
+  banUser,
+  unbanUser,
+} from '../utils/api';
+import { formatMoney } from '../utils/money';
+import '../styles/AdminConsole.css';
+
+const EXTENSIONS = [
+  { label: '+1m', duration: 60 * 1000 },
+  { label: '+5m', duration: 5 * 60 * 1000 },
+];
+
+const FINAL_STATUSES = ['closed', 'cancelled'];
+
+const formatRemaining = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+
+const BidList = ({ auction, bids, busy, onVoid, onBan, onUnban }) => {
+  if (!bids) {
+    return <p className="admin-bids-empty">Loading bids…</p>;
+  }
+
+  if (bids.length === 0) {
+    return <p className="admin-bids-empty">No bids yet</p>;
+  }
+
+  const canVoid = !FINAL_STATUSES.includes(auction.status);
+
+  return (
+    <ul className="admin-bids">
+      {bids.map((bid) => (
+        <li
+          key={bid.index}
+          className={`admin-bid ${bid.voided ? 'admin-bid-voided' : ''}`}
+        >
+          <span className="admin-bid-amount">
+            {formatMoney(bid.amount, auction.currency)}
+          </span>
+          <span className="admin-bid-user">
+            {bid.username || bid.userId.substring(0, 8)}
+            {bid.auto && ' (auto)'}
+            {bid.bidderBanned && <span className="admin-tag">banned</span>}
+          </span>
+          <span className="admin-bid-time">{formatTime(bid.timestamp)}</span>
+          <span className="admin-bid-actions">
+            {bid.voided ? (
+              <span className="admin-tag">voided</span>
+            ) : (
+              canVoid && (
+                <button disabled={busy} onClick={() => onVoid(bid)}>
+                  Void
+                </button>
+              )
+            )}
+            {bid.bidderBanned ? (
+              <button disabled={busy} onClick={() => onUnban(bid.userId)}>
+                Unban
+              </button>
+            ) : (
+              <button
+                className="admin-danger"
+                disabled={busy}
+                onClick={() => onBan(bid)}
+              >
+                Ban
+              </button>
+            )}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/*
+ * Lists every auction, cancelled ones included, with live watcher counts.
+ * Live auction state comes from the dashboard's socket handlers; this keeps
+ * the admin listing only for what the public feed drops.
+ */
+const AdminConsole = ({ auctions, watchers, banVersion }) => {
+  const [listing, setListing] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [bids, setBids] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      const result = await fetchAdminAuctions();
+
+      if (result.success) {
+        setListing(result.data);
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    };
+
+    load();
+  }, []);
+
+  const loadBids = useCallback(async (auctionId) => {
+    const result = await fetchAdminBids(auctionId);
+    if (result.success) {
+      setBids((prev) => ({ ...prev, [auctionId]: result.data }));
+    }
+  }, []);
+
+  // Bids and bans change underneath the open panel; refresh it when they do.
+  const openAuction = expanded && auctions.find((a) => a.id === expanded);
+  useEffect(() => {
+    if (expanded) {
+      loadBids(expanded);
+    }
+  }, [expanded, openAuction?.currentBid, banVersion, loadBids]);
+
+  const listed = new Set(listing.map((entry) => entry.id));
+  const rows = [...listing, ...auctions.filter((a) => !listed.has(a.id))].map(
+    (entry) => ({
+      ...entry,
+      ...auctions.find((a) => a.id === entry.id),
+      watchers: watchers[entry.id] ?? entry.watchers ?? 0,
+    })
+  );
+
+  const run = async (request) => {
+    setBusy(true);
+    setError(null);
+
+    const result = await request();
+    if (result.success) {
+      if (result.data?.id) {
+        setListing((prev) =>
+          prev.map((entry) =>
+            entry.id === result.data.id ? { ...entry, ...result.data } : entry
+          )
+        );
+      }
+    } else {
+      setError(result.error);
+    }
+
+    setBusy(false);
+    return result;
+  };
+
+  const handleCancel = (auction) => {
+    const reason = window.prompt(`Cancel "${auction.title}"? Reason (optional):`);
+    if (reason === null) return;
+    run(() => moderateAuction(auction.id, 'cancel', { reason: reason || null }));
+  };
+
+  const handleVoid = (auction, bid) => {
+    const reason = window.prompt(
+      `Void the ${formatMoney(bid.amount, auction.currency)} bid? Reason (optional):`
+    );
+    if (reason === null) return;
+    run(() => voidBid(auction.id, bid.index, reason || null)).then(() =>
+      loadBids(auction.id)
+    );
+  };
+
+  const handleBan = (auction, bid) => {
+    const name = bid.username || bid.userId;
+    const reason = window.prompt(`Ban ${name} from bidding? Reason (optional):`);
+    if (reason === null) return;
+    run(() => banUser(bid.userId, reason || null)).then(() => loadBids(auction.id));
+  };
+
+  const handleUnban = (auction, userId) => {
+    run(() => unbanUser(userId)).then(() => loadBids(auction.id));
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading auctions...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-console">
+      {error && <div className="admin-error">{error}</div>}
+
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Auction</th>
+            <th>Status</th>
+            <th>Current bid</th>
+            <th>Ends</th>
+            <th>Watchers</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((auction) => {
+            const isFinal = FINAL_STATUSES.includes(auction.status);
+            const isOpen = expanded === auction.id;
+
+            return (
+              <React.Fragment key={auction.id}>
+                <tr className={`admin-row admin-row-${auction.status}`}>
+                  <td>
+                    <button
+                      className="admin-expand"
+                      onClick={() => setExpanded(isOpen ? null : auction.id)}
+                    >
+                      {isOpen ? '▾' : '▸'} {auction.title}
+                    </button>
+                  </td>
+                  <td>
+                    <span className={`admin-status admin-status-${auction.status}`}>
+                      {auction.status}
+                    </span>
+                  </td>
+                  <td>{formatMoney(auction.currentBid, auction.currency)}</td>
+                  <td>
+                    {isFinal
+                      ? '–'
+                      : auction.status === 'paused'
+                      ? `${formatRemaining(auction.pausedRemaining)} left, paused`
+                      : formatTime(auction.endTime)}
+                  </td>
+                  <td className="admin-watchers">{auction.watchers}</td>
+                  <td className="admin-actions">
+                    {auction.status === 'live' && (
+                      <button
+                        disabled={busy}
+                        onClick={() => run(() => moderateAuction(auction.id, 'pause'))}
+                      >
+                        Pause
+                      </button>
+                    )}
+                    {auction.status === 'paused' && (
+                      <button
+                        disabled={busy}
+                        onClick={() => run(() => moderateAuction(auction.id, 'resume'))}
+                      >
+                        Resume
+                      </button>
+                    )}
+                    {!isFinal &&
+                      EXTENSIONS.map(({ label, duration }) => (
+                        <button
+                          key={label}
+                          disabled={busy}
+                          onClick={() =>
+                            run(() => moderateAuction(auction.id, 'extend', { duration }))
+                          }
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    {!isFinal && (
+                      <button
+                        className="admin-danger"
+                        disabled={busy}
+                        onClick={() => handleCancel(auction)}
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {isOpen && (
+                  <tr className="admin-detail">
+                    <td colSpan={6}>
+                      <BidList
+                        auction={auction}
+                        bids={bids[auction.id]}
+                        busy={busy}
+                        onVoid={(bid) => handleVoid(auction, bid)}
+                        onBan={(bid) => handleBan(auction, bid)}
+                        onUnban={(userId) => handleUnban(auction, userId)}
+                      />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -1,25 +1,48 @@
-import React, { useState, useEffect, useContext } from 'react';
-import AuctionContext from '../context/AuctionContext';
+import React, { useState, useEffect, useRef } from 'react';
 import useCountdownTimer from '../hooks/useCountdownTimer';
+import useInViewport from '../hooks/useInViewport';
+import MaxBidForm from './MaxBidForm';
+import { generateBidId } from '../hooks/useSocket';
+import { validateBidAmount } from '../utils/bidValidation';
+import { formatMoney, minorUnitDigits, toMajorUnits } from '../utils/money';
+import { assetUrl } from '../utils/api';
+import { CATEGORIES, CONDITIONS } from '../generated/socketEvents';
 import '../styles/AuctionCard.css';
 
+const MAX_BIDS_SHOWN = 3;
+
 const AuctionCard = ({
   auction,
   onBid,
-  userId,
   isWinning,
   onJoinAuction,
   onLeaveAuction,
+  maxBid,
+  onSetMaxBid,
+  onCancelMaxBid,
+  isWatched,
+  onToggleWatch,
+  onOpen,
 }) => {
-  const { getClientServerTime } = useContext(AuctionContext);
-  const { formatted, isExpired } = useCountdownTimer(
-    auction.endTime,
-    getClientServerTime
-  );
+  const cardRef = useRef(null);
+  const inViewport = useInViewport(cardRef);
+  const isScheduled = auction.status === 'scheduled';
+  const isClosed = auction.status === 'closed';
+  const isPaused = auction.status === 'paused';
+  const { formatted, isExpired, uncertainty, isUncertain } =
+    useCountdownTimer(isScheduled ? auction.startTime : auction.endTime);
   const [isAnimating, setIsAnimating] = useState(false);
   const [previousBid, setPreviousBid] = useState(auction.currentBid);
   const [bidError, setBidError] = useState(null);
-  const [isActive, setIsActive] = useState(true);
+  const [bidInput, setBidInput] = useState('');
+  const [bids, setBids] = useState([]);
+  const { currency } = auction;
+  const money = (amount) => formatMoney(amount, currency);
+
+  // The local countdown only predicts the close; the result shown is the one
+  // the server sends with AUCTION_ENDED.
+  const hasEnded = isClosed || (!isScheduled && !isPaused && isExpired);
+  const isActive = auction.status === 'live' && !hasEnded;
 
   useEffect(() => {
     if (auction.currentBid > previousBid) {
@@ -34,86 +57,225 @@ const AuctionCard = ({
     }
   }, [auction.currentBid, previousBid]);
 
+  // Only on-screen cards hold a room; the rest follow PRICE_TICKS.
   useEffect(() => {
-    if (isExpired && isActive) {
-      setIsActive(false);
-    }
-  }, [isExpired, isActive]);
+    if (!inViewport) return;
 
-  useEffect(() => {
     onJoinAuction?.(auction.id);
     return () => {
       onLeaveAuction?.(auction.id);
     };
-  }, [auction.id, onJoinAuction, onLeaveAuction]);
+  }, [auction.id, inViewport, onJoinAuction, onLeaveAuction]);
+
+  const submitBid = async (amount) => {
+    const bidId = generateBidId();
+
+    setBids((prev) =>
+      [{ bidId, amount, status: 'pending' }, ...prev].slice(0, MAX_BIDS_SHOWN)
+    );
+
+    const response = await onBid?.(auction.id, amount, currency, bidId);
+
+    setBids((prev) =>
+      prev.map((bid) =>
+        bid.bidId === bidId
+          ? {
+              ...bid,
+              status: response?.status || 'rejected',
+              message: response?.message,
+            }
+          : bid
+      )
+    );
+
+    return response;
+  };
 
   const handleBidClick = () => {
     setBidError(null);
-    const nextBid = auction.currentBid + 10;
 
-    if (!isActive || isExpired) {
-      setBidError('Auction has ended');
+    if (!isActive) {
+      setBidError(
+        isScheduled
+          ? 'Auction has not started yet'
+          : isPaused
+          ? 'Auction is paused'
+          : 'Auction has ended'
+      );
+      return;
+    }
+
+    submitBid(auction.minimumNextBid);
+  };
+
+  const handleCustomBid = async (event) => {
+    event.preventDefault();
+    setBidError(null);
+
+    const result = validateBidAmount(bidInput, auction.minimumNextBid, currency);
+    if (!result.valid) {
+      setBidError(result.message);
+      return;
+    }
+
+    const response = await submitBid(result.amount);
+    if (response?.status === 'accepted') {
+      setBidInput('');
+    }
+  };
+
+  const canBuyNow =
+    isActive &&
+    auction.buyNowPrice != null &&
+    auction.currentBid < auction.buyNowPrice;
+
+  const handleBuyNowClick = () => {
+    setBidError(null);
+
+    if (!window.confirm(`Buy "${auction.title}" now for ${money(auction.buyNowPrice)}?`)) {
       return;
     }
 
-    onBid?.(auction.id, nextBid);
+    submitBid(auction.buyNowPrice);
   };
 
   return (
-    <div className="auction-card">
+    <div className="auction-card" ref={cardRef}>
+      {onOpen && auction.images?.length > 0 && (
+        <button
+          className="auction-cover"
+          onClick={() => onOpen(auction.id)}
+          aria-label={`View ${auction.title}`}
+        >
+          <img src={assetUrl(auction.images[0].thumbnailUrl)} alt="" loading="lazy" />
+          {auction.images.length > 1 && (
+            <span className="auction-cover-count">{auction.images.length} photos</span>
+          )}
+        </button>
+      )}
       <div className="auction-header">
-        <h3 className="auction-title">{auction.title}</h3>
-        {isWinning && !isExpired && (
+        <div className="auction-heading">
+          <h3 className="auction-title">
+            {onOpen ? (
+              <button className="auction-title-link" onClick={() => onOpen(auction.id)}>
+                {auction.title}
+              </button>
+            ) : (
+              auction.title
+            )}
+          </h3>
+          {(auction.category || auction.condition) && (
+            <p className="auction-meta">
+              {[CATEGORIES[auction.category], CONDITIONS[auction.condition]]
+                .filter(Boolean)
+                .join(' · ')}
+            </p>
+          )}
+        </div>
+        {onToggleWatch && (
+          <button
+            className={`watch-toggle ${isWatched ? 'watching' : ''}`}
+            onClick={() => onToggleWatch(auction.id)}
+            aria-pressed={Boolean(isWatched)}
+            aria-label={isWatched ? 'Stop watching' : 'Watch'}
+            title={isWatched ? 'Stop watching' : 'Watch'}
+          >
+            {isWatched ? '★' : '☆'}
+          </button>
+        )}
+        {isWinning && isActive && (
           <span className="badge badge-winning">Winning</span>
         )}
-        {isExpired && <span className="badge badge-ended">Ended</span>}
+        {isScheduled && <span className="badge badge-scheduled">Upcoming</span>}
+        {isPaused && <span className="badge badge-paused">Paused</span>}
+        {hasEnded && !isClosed && (
+          <span className="badge badge-ended">Closing…</span>
+        )}
+        {isClosed && <span className="badge badge-ended">Ended</span>}
       </div>
 
       <div className="auction-body">
         <div className={`bid-section ${isAnimating ? 'animate-flash' : ''}`}>
           <p className="bid-label">Current Bid</p>
-          <p className="bid-amount">${auction.currentBid}</p>
+          <p className="bid-amount">{money(auction.currentBid)}</p>
         </div>
 
         <div className="starting-price">
-          Starting: ${auction.startingPrice}
+          Starting: {money(auction.startingPrice)}
+          {auction.hasReserve && (
+            <span
+              className={`reserve-status ${
+                auction.reserveMet ? 'reserve-met' : 'reserve-not-met'
+              }`}
+            >
+              {auction.reserveMet ? 'Reserve met' : 'Reserve not met'}
+            </span>
+          )}
         </div>
 
         <div className="countdown-section">
+          {isScheduled && !isExpired && (
+            <p className="countdown-label">Starts in</p>
+          )}
           <div className="countdown">
-            {isExpired ? (
+            {isClosed ? (
               <span className="countdown-text countdown-expired">
                 Auction Ended
               </span>
+            ) : isPaused ? (
+              <span className="countdown-text">
+                Paused with {Math.ceil(auction.pausedRemaining / 1000)}s left
+              </span>
+            ) : hasEnded || (isScheduled && isExpired) ? (
+              <span className="countdown-text">
+                {isScheduled ? 'Starting…' : 'Finalizing…'}
+              </span>
             ) : (
               <>
                 <span className="countdown-time">
                   {formatted.minutes}:{formatted.seconds}
                 </span>
                 <span className="countdown-ms">.{formatted.milliseconds}</span>
+                {isUncertain && uncertainty !== null && (
+                  <span
+                    className="countdown-uncertainty"
+                    title="Your clock may be off from the server's by this much"
+                  >
+                    ±{(uncertainty / 1000).toFixed(1)}s
+                  </span>
+                )}
               </>
             )}
           </div>
+          {auction.softClose && !hasEnded && (
+            <p className="soft-close-info">
+              {auction.totalExtension > 0 ? 'Extended! ' : ''}
+              Bids in the last {Math.round(auction.softClose.window / 1000)}s
+              add {Math.round(auction.softClose.extension / 1000)}s
+            </p>
+          )}
         </div>
 
-        {auction.highestBidder && !isExpired && (
+        {auction.leaderHandle && !hasEnded && (
           <div className="highest-bidder">
-            {auction.highestBidder === userId ? (
+            {isWinning ? (
               <p className="your-bid">You are the highest bidder</p>
             ) : (
-              <p className="other-bid">
-                Leader: {auction.highestBidder.substring(0, 8)}...
-              </p>
+              <p className="other-bid">Leader: {auction.leaderHandle}</p>
             )}
           </div>
         )}
 
-        {isExpired && auction.highestBidder && (
+        {isClosed && (
           <div className="final-result">
-            {auction.highestBidder === userId ? (
+            {auction.youWon ? (
               <p className="won-badge">🏆 You Won!</p>
+            ) : auction.winnerHandle ? (
+              <p className="final-price">Sold for {money(auction.finalPrice)}</p>
+            ) : auction.leaderHandle ? (
+              <p className="final-price">Reserve not met, not sold</p>
             ) : (
-              <p className="final-price">Sold for ${auction.currentBid}</p>
+              <p className="final-price">No bids, not sold</p>
             )}
           </div>
         )}
@@ -123,17 +285,71 @@ const AuctionCard = ({
 
       <div className="auction-footer">
         <button
-          className={`bid-button ${
-            !isActive || isExpired ? 'bid-button-disabled' : ''
-          }`}
+          className={`bid-button ${!isActive ? 'bid-button-disabled' : ''}`}
           onClick={handleBidClick}
-          disabled={!isActive || isExpired}
+          disabled={!isActive}
         >
-          {isExpired ? 'Auction Ended' : `Bid +$10`}
+          {hasEnded
+            ? 'Auction Ended'
+            : isScheduled
+            ? 'Not Started'
+            : isPaused
+            ? 'Paused'
+            : `Bid +${money(auction.minBidIncrement)}`}
         </button>
+        {isActive && (
+          <form className="custom-bid-form" onSubmit={handleCustomBid}>
+            <input
+              type="number"
+              className="custom-bid-input"
+              min={toMajorUnits(auction.minimumNextBid, currency)}
+              step={10 ** -minorUnitDigits(currency)}
+              placeholder={`Your bid (≥ ${money(auction.minimumNextBid)})`}
+              value={bidInput}
+              onChange={(e) => setBidInput(e.target.value)}
+            />
+            <button
+              type="submit"
+              className="custom-bid-submit"
+              disabled={!bidInput}
+            >
+              Place Bid
+            </button>
+          </form>
+        )}
+        {canBuyNow && (
+          <button className="buy-now-button" onClick={handleBuyNowClick}>
+            Buy It Now {money(auction.buyNowPrice)}
+          </button>
+        )}
         <div className="min-bid-info">
-          Min: ${auction.currentBid + auction.minBidIncrement}
+          Min: {money(auction.minimumNextBid)}
         </div>
+        {bids.length > 0 && (
+          <ul className="bid-outcomes">
+            {bids.map((bid) => (
+              <li key={bid.bidId} className={`bid-outcome bid-outcome-${bid.status}`}>
+                <span className="bid-outcome-amount">{money(bid.amount)}</span>
+                <span className="bid-outcome-status">
+                  {bid.status === 'pending'
+                    ? 'Sending…'
+                    : bid.status === 'accepted'
+                    ? 'Accepted'
+                    : bid.message || 'Rejected'}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+        {!hasEnded && (
+          <MaxBidForm
+            auction={auction}
+            maxBid={maxBid}
+            onSetMaxBid={onSetMaxBid}
+            onCancelMaxBid={onCancelMaxBid}
+            disabled={!isActive}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,74 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import ImageGallery from './ImageGallery';
+import BidLadder from './BidLadder';
+import PriceChart from './PriceChart';
+import { CATEGORIES, CONDITIONS } from '../generated/socketEvents';
+import '../styles/AuctionDetail.css';
+
+/*
+ * Everything about one auction: photos, description, the bid ladder and a
+ * price chart next to the same live card the grid shows, so bidding works
+ * here too. `bids` is null until the history has loaded.
+ */
+const AuctionDetail = ({ auction, bids, watchers, renderCard, onBack }) => (
+  <div className="auction-detail">
+    <button className="auction-detail-back" onClick={onBack}>
+      ← Back
+    </button>
+
+    <div className="auction-detail-layout">
+      <section className="auction-detail-info">
+        <ImageGallery images={auction.images || []} title={auction.title} />
+
+        <div className="auction-detail-body">
+          <h2>{auction.title}</h2>
+          <dl className="auction-detail-facts">
+            {auction.category && (
+              <>
+                <dt>Category</dt>
+                <dd>{CATEGORIES[auction.category] || auction.category}</dd>
+              </>
+            )}
+            {auction.condition && (
+              <>
+                <dt>Condition</dt>
+                <dd>{CONDITIONS[auction.condition]}</dd>
+              </>
+            )}
+            {watchers !== undefined && (
+              <>
+                <dt>Watching now</dt>
+                <dd>{watchers}</dd>
+              </>
+            )}
+          </dl>
+
+          {auction.description ? (
+            <div className="auction-description">
+              <ReactMarkdown>{auction.description}</ReactMarkdown>
+            </div>
+          ) : (
+            <p className="auction-description-empty">The seller has not added a description.</p>
+          )}
+        </div>
+
+        <div className="auction-detail-bids">
+          <h3>Bids</h3>
+          {bids === null ? (
+            <p className="bid-ladder-empty">Loading bids...</p>
+          ) : (
+            <>
+              <PriceChart auction={auction} bids={bids} />
+              <BidLadder bids={bids} currency={auction.currency} />
+            </>
+          )}
+        </div>
+      </section>
+
+      <aside className="auction-detail-card">{renderCard(auction)}</aside>
+    </div>
+  </div>
+);
+
+export default AuctionDetail;
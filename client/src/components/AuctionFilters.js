@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { CATEGORIES, CURRENCIES, DEFAULT_CURRENCY } from '../generated/socketEvents';
+import { parseBidAmount } from '../utils/bidValidation';
+import '../styles/AuctionFilters.css';
+
+// Typed fields are applied once typing pauses, not on every keystroke.
+const TYPING_DELAY = 300;
+const TYPED_FIELDS = ['q', 'minPrice', 'maxPrice'];
+
+const STATUSES = [
+  { key: 'live', label: 'Live' },
+  { key: 'ending_soon', label: 'Ending soon' },
+  { key: 'upcoming', label: 'Upcoming' },
+  { key: 'ended', label: 'Ended' },
+];
+
+const SORTS = [
+  { key: 'ending:asc', label: 'Ending soonest' },
+  { key: 'price:asc', label: 'Price: low to high' },
+  { key: 'price:desc', label: 'Price: high to low' },
+  { key: 'bids:desc', label: 'Most bids' },
+];
+
+export const DEFAULT_FILTERS = {
+  q: '',
+  status: null,
+  categories: [],
+  mine: false,
+  currency: DEFAULT_CURRENCY,
+  minPrice: '',
+  maxPrice: '',
+  sort: 'ending:asc',
+};
+
+// Whether the grid shows a subset of all auctions, rather than all of them
+// in another order.
+export const hasActiveFilters = (filters) =>
+  Boolean(
+    filters.q.trim() ||
+      filters.status ||
+      filters.categories.length > 0 ||
+      filters.mine ||
+      filters.minPrice ||
+      filters.maxPrice
+  );
+
+// Query parameters for GET /items. Prices are typed in major units of the
+// chosen currency; ones that do not parse are left out. Prices only compare
+// within one currency, so a price range or sort narrows to that currency.
+export const filtersToQuery = (filters, userId) => {
+  const [sort, order] = filters.sort.split(':');
+  const query = { sort, order };
+  const minPrice = parseBidAmount(filters.minPrice, filters.currency).amount;
+  const maxPrice = parseBidAmount(filters.maxPrice, filters.currency).amount;
+
+  if (filters.q.trim()) query.q = filters.q.trim();
+  if (filters.status) query.status = filters.status;
+  if (filters.categories.length > 0) query.category = filters.categories.join(',');
+  if (filters.mine) query.seller = userId;
+  if (Number.isSafeInteger(minPrice)) query.minPrice = minPrice;
+  if (Number.isSafeInteger(maxPrice)) query.maxPrice = maxPrice;
+  if (sort === 'price' || 'minPrice' in query || 'maxPrice' in query) {
+    query.currency = filters.currency;
+  }
+
+  return query;
+};
+
+const AuctionFilters = ({ filters, onChange }) => {
+  const [typed, setTyped] = useState(() =>
+    Object.fromEntries(TYPED_FIELDS.map((field) => [field, filters[field]]))
+  );
+
+  useEffect(() => {
+    if (TYPED_FIELDS.every((field) => typed[field] === filters[field])) return;
+
+    const timer = setTimeout(() => onChange({ ...filters, ...typed }), TYPING_DELAY);
+    return () => clearTimeout(timer);
+  }, [typed, filters, onChange]);
+
+  const update = (changes) => onChange({ ...filters, ...typed, ...changes });
+  const type = (field) => (e) => setTyped((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const toggleCategory = (key) =>
+    update({
+      categories: filters.categories.includes(key)
+        ? filters.categories.filter((category) => category !== key)
+        : [...filters.categories, key],
+    });
+
+  const clear = () => {
+    setTyped(Object.fromEntries(TYPED_FIELDS.map((field) => [field, DEFAULT_FILTERS[field]])));
+    onChange(DEFAULT_FILTERS);
+  };
+
+  return (
+    <div className="auction-filters">
+      <div className="auction-filters-row">
+        <input
+          type="search"
+          className="auction-search"
+          placeholder="Search titles and descriptions"
+          value={typed.q}
+          onChange={type('q')}
+          aria-label="Search auctions"
+        />
+        <select
+          className="auction-sort"
+          value={filters.sort}
+          onChange={(e) => update({ sort: e.target.value })}
+          aria-label="Sort auctions"
+        >
+          {SORTS.map(({ key, label }) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="auction-filters-row">
+        {STATUSES.map(({ key, label }) => (
+          <button
+            key={key}
+            className={`filter-chip ${filters.status === key ? 'active' : ''}`}
+            aria-pressed={filters.status === key}
+            onClick={() => update({ status: filters.status === key ? null : key })}
+          >
+            {label}
+          </button>
+        ))}
+        <span className="filter-divider" />
+        {Object.entries(CATEGORIES).map(([key, label]) => (
+          <button
+            key={key}
+            className={`filter-chip ${filters.categories.includes(key) ? 'active' : ''}`}
+            aria-pressed={filters.categories.includes(key)}
+            onClick={() => toggleCategory(key)}
+          >
+            {label}
+          </button>
+        ))}
+        <button
+          className={`filter-chip ${filters.mine ? 'active' : ''}`}
+          aria-pressed={filters.mine}
+          onClick={() => update({ mine: !filters.mine })}
+        >
+          My listings
+        </button>
+        <span className="filter-divider" />
+        <div className="price-range">
+          <input
+            type="number"
+            min="0"
+            placeholder="Min"
+            value={typed.minPrice}
+            onChange={type('minPrice')}
+            aria-label="Minimum price"
+          />
+          <span>–</span>
+          <input
+            type="number"
+            min="0"
+            placeholder="Max"
+            value={typed.maxPrice}
+            onChange={type('maxPrice')}
+            aria-label="Maximum price"
+          />
+          <select
+            value={filters.currency}
+            onChange={(e) => update({ currency: e.target.value })}
+            aria-label="Price currency"
+          >
+            {Object.keys(CURRENCIES).map((code) => (
+              <option key={code} value={code}>
+                {code}
+              </option>
+            ))}
+          </select>
+        </div>
+        {hasActiveFilters({ ...filters, ...typed }) && (
+          <button className="filter-clear" onClick={clear}>
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuctionFilters;
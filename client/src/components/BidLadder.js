@@ -0,0 +1,42 @@
+import React from 'react';
+import { formatMoney } from '../utils/money';
+
+const MAX_ROWS = 50;
+
+// Newest bid first. Bidders are per-auction handles from the server; the
+// user's own bids read "You".
+const BidLadder = ({ bids, currency }) => {
+  if (bids.length === 0) {
+    return <p className="bid-ladder-empty">No bids yet</p>;
+  }
+
+  const ownHandles = new Set(bids.filter((bid) => bid.mine).map((bid) => bid.bidder));
+  const rows = [...bids].reverse();
+  const leading = rows.find((bid) => !bid.voided);
+
+  return (
+    <ol className="bid-ladder">
+      {rows.slice(0, MAX_ROWS).map((bid) => (
+        <li
+          key={bid.index}
+          className={`bid-ladder-row ${bid === leading ? 'leading' : ''} ${
+            bid.voided ? 'voided' : ''
+          }`}
+        >
+          <span className="bid-ladder-amount">{formatMoney(bid.amount, currency)}</span>
+          <span className="bid-ladder-bidder">
+            {ownHandles.has(bid.bidder) ? 'You' : bid.bidder}
+            {bid.auto && <span className="bid-ladder-tag">auto</span>}
+            {bid.buyNow && <span className="bid-ladder-tag">buy now</span>}
+            {bid.voided && <span className="bid-ladder-tag">voided</span>}
+          </span>
+          <time className="bid-ladder-time" dateTime={new Date(bid.timestamp).toISOString()}>
+            {new Date(bid.timestamp).toLocaleTimeString()}
+          </time>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default BidLadder;
@@ -1,27 +1,106 @@
-import React, { useState, useEffect, useContext, useCallback } from 'react';
+import React, { useState, useEffect, useContext, useCallback, useRef } from 'react';
+import { useMatch, useNavigate } from 'react-router-dom';
 import AuctionContext from '../context/AuctionContext';
 import AuctionCard from './AuctionCard';
-import { fetchAuctions } from '../utils/api';
+import NotificationCenter from './NotificationCenter';
+import AdminConsole from './AdminConsole';
+import MyBids from './MyBids';
+import Wallet from './Wallet';
+import AuctionDetail from './AuctionDetail';
+import AuctionFilters, {
+  DEFAULT_FILTERS,
+  filtersToQuery,
+  hasActiveFilters,
+} from './AuctionFilters';
+import {
+  fetchAuctions,
+  fetchAuction,
+  fetchBidHistory,
+  fetchMyBids,
+  fetchWatchlist,
+  setWatching,
+} from '../utils/api';
 import { useSocket, SOCKET_EVENTS } from '../hooks/useSocket';
+import useInViewport from '../hooks/useInViewport';
 import '../styles/Dashboard.css';
 
-const Dashboard = () => {
+// Merges bid ladder entries by their index in the auction's history; the
+// later copy wins, so a refetch picks up voids.
+const mergeBids = (current, incoming) => {
+  const byIndex = new Map(current.map((bid) => [bid.index, bid]));
+  incoming.forEach((bid) => byIndex.set(bid.index, { ...byIndex.get(bid.index), ...bid }));
+  return Array.from(byIndex.values()).sort((a, b) => a.index - b.index);
+};
+
+const VIEWS = [
+  { key: 'auctions', label: 'All Auctions' },
+  { key: 'mine', label: 'My Bids' },
+  { key: 'wallet', label: 'Wallet' },
+  { key: 'admin', label: 'Admin' },
+];
+
+const Dashboard = ({ user, token, onLogout }) => {
   const {
     auctions,
     setAuctions,
+    upsertAuctions,
     userBids,
+    setUserBids,
     updateUserBid,
+    watchlist,
+    setWatchlist,
+    addNotification,
     syncServerTime,
+    recordClockSample,
+    clock,
   } = useContext(AuctionContext);
 
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [userId] = useState(`user_${Date.now()}`);
+  const userId = user.id;
   const [connectionStatus, setConnectionStatus] = useState('connecting');
+  const [maxBids, setMaxBids] = useState({});
+  const [rateLimit, setRateLimit] = useState(null);
+  const isAdmin = user.role === 'admin';
+  const [view, setView] = useState('auctions');
+  const navigate = useNavigate();
+  // /auction/:auctionId opens that auction's detail page over the current
+  // view, which stays as it was for the way back.
+  const detailId = useMatch('/auction/:auctionId')?.params.auctionId ?? null;
+  const [detailMissing, setDetailMissing] = useState(false);
+  // The detail page's bids, fed by GET /bid-history and BID_UPDATE. Bumping
+  // `version` refetches them, e.g. after an admin voids one.
+  const [ladder, setLadder] = useState({ auctionId: null, bids: [], loaded: false, version: 0 });
+  // Bumped on events that move this user's money, so the wallet refetches.
+  const [walletVersion, setWalletVersion] = useState(0);
+  const bumpWallet = useCallback(() => setWalletVersion((prev) => prev + 1), []);
+  const [watchers, setWatchers] = useState({});
+  const [banned, setBanned] = useState(Boolean(user.banned));
+  // Bumped on every ban change so the admin console reloads its bid list.
+  const [banVersion, setBanVersion] = useState(0);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  // The grid lists ids in server order; the auctions themselves live in the
+  // context so live updates reach every view.
+  const [gridIds, setGridIds] = useState([]);
+  const [pagination, setPagination] = useState({ hasMore: false, nextCursor: null });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const gridRequestRef = useRef(0);
+  const sentinelRef = useRef(null);
+  const nearGridEnd = useInViewport(sentinelRef, { rootMargin: '400px', leaveDelay: 0 });
 
   const handleBidUpdate = useCallback(
     (data) => {
-      const { auctionId, newBid, highestBidder } = data;
+      const {
+        auctionId,
+        newBid,
+        leaderHandle,
+        youAreLeading,
+        endTime,
+        reserveMet,
+        minBidIncrement,
+        minimumNextBid,
+        bids = [],
+      } = data;
 
       setAuctions((prev) =>
         prev.map((auction) =>
@@ -29,39 +108,98 @@ const Dashboard = () => {
             ? {
                 ...auction,
                 currentBid: newBid,
-                highestBidder,
+                leaderHandle,
+                youAreLeading,
+                endTime: endTime ?? auction.endTime,
+                reserveMet: reserveMet ?? auction.reserveMet,
+                minBidIncrement: minBidIncrement ?? auction.minBidIncrement,
+                minimumNextBid: minimumNextBid ?? newBid + auction.minBidIncrement,
               }
             : auction
         )
       );
 
-      if (highestBidder === userId) {
-        updateUserBid(auctionId, true);
+      if (youAreLeading) {
+        updateUserBid(auctionId, { myBid: newBid });
       }
+
+      // The last bid is the leader's, so when that is us its handle is ours.
+      const ownHandle = youAreLeading ? bids[bids.length - 1]?.bidder : null;
+      setLadder((prev) =>
+        prev.auctionId === auctionId
+          ? {
+              ...prev,
+              bids: mergeBids(
+                prev.bids,
+                bids.map((bid) => (bid.bidder === ownHandle ? { ...bid, mine: true } : bid))
+              ),
+            }
+          : prev
+      );
     },
-    [setAuctions, updateUserBid, userId]
+    [setAuctions, updateUserBid]
   );
 
-  const handleBidError = useCallback(
+  // OUTBID reaches every tab through the user room, including auctions whose
+  // room this tab has not joined, so the price it carries is applied too.
+  const handleOutbid = useCallback(
     (data) => {
-      console.log('[BID_ERROR]', data);
+      const { auctionId, newBid, outbidBy, currency } = data;
+
+      setAuctions((prev) =>
+        prev.map((auction) =>
+          auction.id === auctionId && newBid > auction.currentBid
+            ? { ...auction, currentBid: newBid, leaderHandle: outbidBy, youAreLeading: false }
+            : auction
+        )
+      );
+      updateUserBid(auctionId);
+      addNotification({ type: 'outbid', auctionId, amount: newBid, currency });
+      bumpWallet();
     },
-    []
+    [setAuctions, updateUserBid, addNotification, bumpWallet]
   );
 
-  const handleBidSuccess = useCallback(
+  const handleAuctionStarted = useCallback(
     (data) => {
-      console.log('[BID_SUCCESS]', data);
+      const { auction } = data;
+
+      setAuctions((prev) =>
+        prev.map((a) => (a.id === auction.id ? auction : a))
+      );
     },
-    []
+    [setAuctions]
   );
 
-  const handleOutbid = useCallback(
+  const handleAuctionEnded = useCallback(
     (data) => {
-      const { auctionId } = data;
-      updateUserBid(auctionId, false);
+      const { auctionId, youWon, finalPrice, auction } = data;
+
+      setAuctions((prev) =>
+        prev.map((a) => (a.id === auctionId ? auction : a))
+      );
+
+      if (youWon) {
+        addNotification({
+          type: 'won',
+          auctionId,
+          amount: finalPrice,
+          currency: auction.currency,
+        });
+      } else if (auctionId in userBids) {
+        addNotification({
+          type: 'ended',
+          auctionId,
+          amount: finalPrice ?? auction.currentBid,
+          currency: auction.currency,
+        });
+      }
+
+      if (youWon || auction.sellerId === userId) {
+        bumpWallet();
+      }
     },
-    [updateUserBid]
+    [setAuctions, userBids, userId, addNotification, bumpWallet]
   );
 
   const handleAuctionState = useCallback(
@@ -76,25 +214,226 @@ const Dashboard = () => {
     [setAuctions, syncServerTime]
   );
 
-  const handleHeartbeatAck = useCallback(
+  // A new auction joins the grid only in the default view, where its place
+  // is known: by end time, unless it sorts after the last loaded page.
+  const handleAuctionCreated = useCallback(
+    (data) => {
+      const { auction } = data;
+      upsertAuctions([auction]);
+
+      if (hasActiveFilters(filters) || filters.sort !== DEFAULT_FILTERS.sort) return;
+
+      const endTimes = new Map(auctions.map((a) => [a.id, a.endTime]));
+      setGridIds((prev) => {
+        if (prev.includes(auction.id)) return prev;
+
+        const index = prev.findIndex((id) => endTimes.get(id) > auction.endTime);
+        if (index === -1) {
+          return pagination.hasMore ? prev : [...prev, auction.id];
+        }
+        return [...prev.slice(0, index), auction.id, ...prev.slice(index)];
+      });
+    },
+    [upsertAuctions, filters, auctions, pagination.hasMore]
+  );
+
+  const handleAuctionUpdated = useCallback(
+    (data) => {
+      const { auction, action } = data;
+
+      setAuctions((prev) =>
+        prev.map((a) => (a.id === auction.id ? auction : a))
+      );
+
+      if (action?.type === 'bid_voided') {
+        setLadder((prev) =>
+          prev.auctionId === auction.id ? { ...prev, version: prev.version + 1 } : prev
+        );
+      }
+
+      if (action && auction.id in userBids) {
+        addNotification({
+          type: 'moderated',
+          action: action.type,
+          auctionId: auction.id,
+          amount: auction.currentBid,
+          currency: auction.currency,
+        });
+      }
+    },
+    [setAuctions, userBids, addNotification]
+  );
+
+  const handleAuctionCancelled = useCallback(
     (data) => {
-      const { serverTime } = data;
+      const { auctionId, action } = data;
+
+      setAuctions((prev) => prev.filter((a) => a.id !== auctionId));
+      setGridIds((prev) => prev.filter((id) => id !== auctionId));
+
+      if (action && auctionId in userBids) {
+        addNotification({ type: 'moderated', action: action.type, auctionId });
+      }
+    },
+    [setAuctions, userBids, addNotification]
+  );
+
+  // Batched changes for every auction, mostly for cards whose room this
+  // tab has not joined.
+  const handlePriceTicks = useCallback(
+    (data) => {
+      const { ticks, serverTime } = data;
+      const byId = new Map(ticks.map((tick) => [tick.auctionId, tick]));
       syncServerTime(serverTime);
+
+      setAuctions((prev) =>
+        prev.map((auction) => {
+          const tick = byId.get(auction.id);
+          if (!tick) return auction;
+
+          // Ticks name the leader by handle only. A new leader is someone
+          // else: when it is us, BID_UPDATE has already said so.
+          const { auctionId, watchers: count, ...changes } = tick;
+          const youAreLeading =
+            auction.youAreLeading && changes.leaderHandle === auction.leaderHandle;
+          return { ...auction, ...changes, youAreLeading };
+        })
+      );
+      setWatchers((prev) => ({
+        ...prev,
+        ...Object.fromEntries(ticks.map((tick) => [tick.auctionId, tick.watchers])),
+      }));
+    },
+    [setAuctions, syncServerTime]
+  );
+
+  const handleWatchers = useCallback((data) => {
+    const { auctionId, totalUsers } = data;
+    setWatchers((prev) => ({ ...prev, [auctionId]: totalUsers }));
+  }, []);
+
+  // Admins hear about every ban; the banner is only for the banned user.
+  const handleBanUpdate = useCallback(
+    (data) => {
+      if (data.userId === userId) {
+        setBanned(data.banned);
+      }
+      setBanVersion((prev) => prev + 1);
+    },
+    [userId]
+  );
+
+  // The ack echoes the clientTime the heartbeat was sent with, which times
+  // the round trip.
+  const handleHeartbeatAck = useCallback(
+    (data) => {
+      const { serverTime, clientTime } = data;
+
+      if (typeof clientTime === 'number') {
+        recordClockSample({ sentAt: clientTime, serverTime, receivedAt: Date.now() });
+      } else {
+        syncServerTime(serverTime);
+      }
+    },
+    [syncServerTime, recordClockSample]
+  );
+
+  const handleMaxBidUpdate = useCallback(
+    (data) => {
+      const { auctionId, maxAmount } = data;
+
+      setMaxBids((prev) => ({
+        ...prev,
+        [auctionId]: { maxAmount, error: null },
+      }));
+      if (maxAmount !== null) {
+        updateUserBid(auctionId, { maxBid: maxAmount });
+      }
+      bumpWallet();
+    },
+    [updateUserBid, bumpWallet]
+  );
+
+  const handleMaxBidError = useCallback((data) => {
+    const { auctionId, message } = data;
+
+    setMaxBids((prev) => ({
+      ...prev,
+      [auctionId]: { maxAmount: prev[auctionId]?.maxAmount ?? null, error: message },
+    }));
+  }, []);
+
+  // Only reachable if the client and server schemas disagree; max bid forms
+  // show the message, anything else is logged.
+  const handleInvalidPayload = useCallback(
+    (data) => {
+      if (
+        data.auctionId &&
+        (data.event === SOCKET_EVENTS.SET_MAX_BID ||
+          data.event === SOCKET_EVENTS.CANCEL_MAX_BID)
+      ) {
+        handleMaxBidError(data);
+      } else {
+        console.warn(`[Socket] ${data.event} rejected: ${data.message}`);
+      }
+    },
+    [handleMaxBidError]
+  );
+
+  const handleRateLimited = useCallback((data) => {
+    setRateLimit({
+      message: data.message,
+      until: Date.now() + data.retryAfter,
+    });
+  }, []);
+
+  const handleConnectError = useCallback(
+    (error) => {
+      if (error.message === 'Unauthorized') {
+        onLogout?.();
+      } else if (error.data?.code === 'RATE_LIMITED') {
+        handleRateLimited({
+          message: 'Too many requests, reconnecting shortly',
+          retryAfter: error.data.retryAfter,
+        });
+      }
     },
-    [syncServerTime]
+    [onLogout, handleRateLimited]
   );
 
   const socketEventHandlers = {
     [SOCKET_EVENTS.BID_UPDATE]: handleBidUpdate,
-    [SOCKET_EVENTS.BID_ERROR]: handleBidError,
-    [SOCKET_EVENTS.BID_SUCCESS]: handleBidSuccess,
     [SOCKET_EVENTS.OUTBID]: handleOutbid,
     [SOCKET_EVENTS.AUCTION_STATE]: handleAuctionState,
     [SOCKET_EVENTS.HEARTBEAT_ACK]: handleHeartbeatAck,
+    [SOCKET_EVENTS.AUCTION_CREATED]: handleAuctionCreated,
+    [SOCKET_EVENTS.AUCTION_UPDATED]: handleAuctionUpdated,
+    [SOCKET_EVENTS.AUCTION_CANCELLED]: handleAuctionCancelled,
+    [SOCKET_EVENTS.AUCTION_STARTED]: handleAuctionStarted,
+    [SOCKET_EVENTS.AUCTION_ENDED]: handleAuctionEnded,
+    [SOCKET_EVENTS.MAX_BID_UPDATE]: handleMaxBidUpdate,
+    [SOCKET_EVENTS.MAX_BID_ERROR]: handleMaxBidError,
+    [SOCKET_EVENTS.CONNECT_ERROR]: handleConnectError,
+    [SOCKET_EVENTS.RATE_LIMITED]: handleRateLimited,
+    [SOCKET_EVENTS.INVALID_PAYLOAD]: handleInvalidPayload,
+    [SOCKET_EVENTS.PRICE_TICKS]: handlePriceTicks,
+    [SOCKET_EVENTS.USER_JOINED]: handleWatchers,
+    [SOCKET_EVENTS.USER_LEFT]: handleWatchers,
+    [SOCKET_EVENTS.USER_BANNED]: handleBanUpdate,
+    [SOCKET_EVENTS.USER_UNBANNED]: handleBanUpdate,
   };
 
-  const { placeBid, joinAuction, leaveAuction, connected } = useSocket(
-    userId,
+  const {
+    placeBid,
+    setMaxBid,
+    cancelMaxBid,
+    joinAuction,
+    leaveAuction,
+    subscribeDetail,
+    unsubscribeDetail,
+    connected,
+  } = useSocket(
+    token,
     socketEventHandlers
   );
 
@@ -102,40 +441,223 @@ const Dashboard = () => {
     setConnectionStatus(connected ? 'connected' : 'disconnected');
   }, [connected]);
 
+  useEffect(() => {
+    if (!rateLimit) return;
+
+    const timer = setTimeout(
+      () => setRateLimit(null),
+      Math.max(rateLimit.until - Date.now(), 0)
+    );
+    return () => clearTimeout(timer);
+  }, [rateLimit]);
+
+  // Responses to a superseded query (filters changed while in flight) are
+  // dropped.
+  const loadGridPage = useCallback(
+    async (cursor) => {
+      const request = ++gridRequestRef.current;
+      const result = await fetchAuctions({ ...filtersToQuery(filters, userId), cursor });
+      if (request !== gridRequestRef.current) return null;
+
+      if (result.success) {
+        upsertAuctions(result.data);
+        syncServerTime(result.serverTime);
+        setPagination(result.pagination);
+      }
+      return result;
+    },
+    [filters, userId, upsertAuctions, syncServerTime]
+  );
+
   useEffect(() => {
     const loadAuctions = async () => {
       setLoading(true);
       setError(null);
 
       try {
-        const result = await fetchAuctions();
+        const result = await loadGridPage();
+        if (!result) return;
 
         if (result.success) {
-          setAuctions(result.data);
-          syncServerTime(result.serverTime);
+          setGridIds(result.data.map((auction) => auction.id));
         } else {
           setError('Failed to load auctions');
         }
+        setLoading(false);
       } catch (err) {
         setError('Error loading auctions');
-        console.error(err);
-      } finally {
         setLoading(false);
+        console.error(err);
       }
     };
 
     loadAuctions();
-  }, [setAuctions, syncServerTime]);
+  }, [loadGridPage]);
+
+  useEffect(() => {
+    if (view !== 'auctions' || detailId || loading || loadingMore || !nearGridEnd || !pagination.hasMore) {
+      return;
+    }
+
+    const loadMore = async () => {
+      setLoadingMore(true);
+
+      try {
+        const result = await loadGridPage(pagination.nextCursor);
+
+        if (result?.success) {
+          setGridIds((prev) => [
+            ...prev,
+            ...result.data.map((auction) => auction.id).filter((id) => !prev.includes(id)),
+          ]);
+        }
+      } catch (err) {
+        console.error(err);
+      } finally {
+        setLoadingMore(false);
+      }
+    };
+
+    loadMore();
+  }, [view, detailId, loading, loadingMore, nearGridEnd, pagination, loadGridPage]);
+
+  useEffect(() => {
+    const loadMine = async () => {
+      const [bids, watched] = await Promise.all([fetchMyBids(), fetchWatchlist()]);
+
+      if (bids.success) {
+        upsertAuctions(bids.data.map(({ auction }) => auction));
+        setUserBids(
+          Object.fromEntries(
+            bids.data.map(({ auction, myBid, maxBid }) => [auction.id, { myBid, maxBid }])
+          )
+        );
+        setMaxBids(
+          Object.fromEntries(
+            bids.data
+              .filter(({ maxBid }) => maxBid !== null)
+              .map(({ auction, maxBid }) => [auction.id, { maxAmount: maxBid, error: null }])
+          )
+        );
+      }
+
+      if (watched.success) {
+        upsertAuctions(watched.data);
+        setWatchlist(watched.data.map((auction) => auction.id));
+      }
+    };
+
+    loadMine();
+  }, [upsertAuctions, setUserBids, setWatchlist]);
+
+  // Deep links and cancelled auctions: the page's auction may not be in the
+  // cache, so it is fetched once.
+  const detailKnown = Boolean(detailId && auctions.some((a) => a.id === detailId));
+  useEffect(() => {
+    setDetailMissing(false);
+    if (!detailId || detailKnown) return;
+
+    let cancelled = false;
+    fetchAuction(detailId).then((result) => {
+      if (cancelled) return;
+
+      if (result.success && result.data.status !== 'cancelled') {
+        upsertAuctions([result.data]);
+      } else {
+        setDetailMissing(true);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [detailId, detailKnown, upsertAuctions]);
+
+  useEffect(() => {
+    if (!detailId) return;
 
-  const handleBid = (auctionId, amount) => {
+    let cancelled = false;
+    setLadder((prev) =>
+      prev.auctionId === detailId ? prev : { auctionId: detailId, bids: [], loaded: false, version: 0 }
+    );
+    fetchBidHistory(detailId).then((result) => {
+      if (cancelled || !result.success) return;
+
+      setLadder((prev) =>
+        prev.auctionId === detailId
+          ? { ...prev, bids: mergeBids(prev.bids, result.data), loaded: true }
+          : prev
+      );
+    });
+    return () => {
+      cancelled = true;
+    };
+    // Refetching on reconnect fills in bids missed while offline.
+  }, [detailId, ladder.version, connected]);
+
+  useEffect(() => {
+    if (!detailId) return;
+
+    subscribeDetail(detailId, ({ auctionId, totalUsers }) =>
+      setWatchers((prev) => ({ ...prev, [auctionId]: totalUsers }))
+    );
+    return () => unsubscribeDetail(detailId);
+  }, [detailId, subscribeDetail, unsubscribeDetail]);
+
+  const handleToggleWatch = async (auctionId) => {
+    const result = await setWatching(auctionId, !watchlist.includes(auctionId));
+    if (result.success) {
+      setWatchlist(result.data);
+    }
+  };
+  const openDetail = useCallback(
+    (auctionId) => {
+      navigate(`/auction/${auctionId}`);
+      window.scrollTo(0, 0);
+    },
+    [navigate]
+  );
+
+  const handleBid = async (auctionId, amount, currency, bidId) => {
+    const result = await placeBid(auctionId, amount, currency, bidId);
+    if (result?.status === 'accepted') {
+      bumpWallet();
+    }
+    return result;
+  };
+
+  const handleSetMaxBid = (auctionId, maxAmount, currency) => {
     if (!connected) {
       alert('Not connected to server. Please wait...');
       return;
     }
 
-    placeBid(auctionId, amount);
+    setMaxBid(auctionId, maxAmount, currency);
   };
 
+  const clockUnreliable = connectionStatus === 'connected' && !clock.reliable;
+  const auctionsById = new Map(auctions.map((auction) => [auction.id, auction]));
+  const gridAuctions = gridIds.map((id) => auctionsById.get(id)).filter(Boolean);
+  const detailAuction = detailId ? auctionsById.get(detailId) : null;
+  const showing = detailId ? 'detail' : view;
+  const showsAuctions = showing === 'auctions' || showing === 'mine';
+
+  const renderCard = (auction) => (
+    <AuctionCard
+      key={auction.id}
+      auction={auction}
+      onBid={handleBid}
+      isWinning={auction.youAreLeading}
+      onJoinAuction={joinAuction}
+      onLeaveAuction={leaveAuction}
+      maxBid={maxBids[auction.id]}
+      onSetMaxBid={handleSetMaxBid}
+      onCancelMaxBid={cancelMaxBid}
+      isWatched={watchlist.includes(auction.id)}
+      onToggleWatch={handleToggleWatch}
+      onOpen={auction.id === detailId ? undefined : openDetail}
+    />
+  );
+
   return (
     <div className="dashboard">
       <header className="dashboard-header">
@@ -144,26 +666,115 @@ const Dashboard = () => {
           <p className="subtitle">Real-time Bidding Platform</p>
         </div>
         <div className="header-status">
-          <div className={`status-indicator ${connectionStatus}`}>
+          <div
+            className={`status-indicator ${connectionStatus} ${
+              clockUnreliable ? 'clock-unreliable' : ''
+            }`}
+            title={
+              clock.samples > 0
+                ? `Clock offset ${clock.offset} ms, ±${clock.uncertainty} ms (round trip ${clock.rtt} ms)`
+                : 'Clock not measured yet'
+            }
+          >
             <span className="status-dot"></span>
             <span className="status-text">
-              {connectionStatus === 'connected'
+              {connectionStatus !== 'connected'
+                ? 'Connecting...'
+                : !clockUnreliable
                 ? 'Connected'
-                : 'Connecting...'}
+                : clock.samples === 0
+                ? 'Syncing clock...'
+                : `Clock ±${(clock.uncertainty / 1000).toFixed(1)}s`}
             </span>
           </div>
+          <NotificationCenter />
+          <div className="user-menu">
+            <span className="user-name">{user.username}</span>
+            <button className="logout-button" onClick={onLogout}>
+              Log Out
+            </button>
+          </div>
         </div>
       </header>
 
+      <nav className="dashboard-tabs">
+        {VIEWS.filter(({ key }) => key !== 'admin' || isAdmin).map(({ key, label }) => (
+          <button
+            key={key}
+            className={`dashboard-tab ${view === key ? 'active' : ''}`}
+            onClick={() => {
+              setView(key);
+              if (detailId) navigate('/');
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </nav>
+
       <main className="dashboard-main">
-        {loading && (
+        {rateLimit && (
+          <div className="rate-limit-banner" role="alert">
+            {rateLimit.message} (try again in{' '}
+            {Math.ceil((rateLimit.until - Date.now()) / 1000)}s)
+          </div>
+        )}
+
+        {banned && (
+          <div className="rate-limit-banner" role="alert">
+            Your account has been banned from bidding
+          </div>
+        )}
+
+        {showing === 'detail' && detailAuction && (
+          <AuctionDetail
+            auction={detailAuction}
+            bids={ladder.auctionId === detailId && ladder.loaded ? ladder.bids : null}
+            watchers={watchers[detailId]}
+            renderCard={renderCard}
+            onBack={() => navigate('/')}
+          />
+        )}
+
+        {showing === 'detail' && !detailAuction && (
+          <div className="auction-detail-missing">
+            {detailMissing ? (
+              <>
+                <p>This auction does not exist or has been cancelled.</p>
+                <button className="retry-button" onClick={() => navigate('/')}>
+                  Back to auctions
+                </button>
+              </>
+            ) : (
+              <div className="spinner"></div>
+            )}
+          </div>
+        )}
+
+        {showing === 'auctions' && (
+          <AuctionFilters filters={filters} onChange={setFilters} />
+        )}
+
+        {showing === 'wallet' && (
+          <Wallet version={walletVersion} auctionsById={auctionsById} onOpenAuction={openDetail} />
+        )}
+
+        {showing === 'admin' && (
+          <AdminConsole
+            auctions={auctions}
+            watchers={watchers}
+            banVersion={banVersion}
+          />
+        )}
+
+        {showsAuctions && loading && (
           <div className="loading-container">
             <div className="spinner"></div>
             <p>Loading auctions...</p>
           </div>
         )}
 
-        {error && (
+        {showsAuctions && error && (
           <div className="error-container">
             <p className="error-message">{error}</p>
             <button
@@ -175,27 +786,29 @@ const Dashboard = () => {
           </div>
         )}
 
-        {!loading && !error && (
-          <div className="auction-grid">
-            {auctions.map((auction) => (
-              <AuctionCard
-                key={auction.id}
-                auction={auction}
-                onBid={handleBid}
-                userId={userId}
-                isWinning={userBids[auction.id] || false}
-                onJoinAuction={joinAuction}
-                onLeaveAuction={leaveAuction}
-              />
-            ))}
-          </div>
+        {showing === 'auctions' && !loading && !error && (
+          <div className="auction-grid">{gridAuctions.map(renderCard)}</div>
         )}
 
-        {!loading && !error && auctions.length === 0 && (
+        {showing === 'auctions' && loadingMore && (
+          <div className="grid-loading-more">Loading more auctions...</div>
+        )}
+
+        {showing === 'mine' && !loading && !error && (
+          <MyBids renderCard={renderCard} />
+        )}
+
+        {showing === 'auctions' && !loading && !error && gridAuctions.length === 0 && (
           <div className="empty-state">
-            <p>No auctions available</p>
+            <p>
+              {hasActiveFilters(filters)
+                ? 'No auctions match your search'
+                : 'No auctions available'}
+            </p>
           </div>
         )}
+
+        <div ref={sentinelRef} className="grid-sentinel" />
       </main>
     </div>
   );
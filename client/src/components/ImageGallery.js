@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import { assetUrl } from '../utils/api';
+import '../styles/ImageGallery.css';
+
+// images: [{ id, url, thumbnailUrl }] from the auction state, cover first.
+const ImageGallery = ({ images, title }) => {
+  const [selected, setSelected] = useState(0);
+
+  // The seller may remove images while the page is open.
+  useEffect(() => {
+    if (selected >= images.length) setSelected(0);
+  }, [images.length, selected]);
+
+  if (images.length === 0) {
+    return <div className="gallery gallery-empty">No photos</div>;
+  }
+
+  const current = images[Math.min(selected, images.length - 1)];
+  const step = (delta) => setSelected((prev) => (prev + delta + images.length) % images.length);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowLeft') step(-1);
+    if (e.key === 'ArrowRight') step(1);
+  };
+
+  return (
+    <div className="gallery" tabIndex={0} onKeyDown={handleKeyDown}>
+      <div className="gallery-main">
+        <img src={assetUrl(current.url)} alt={title} />
+        {images.length > 1 && (
+          <>
+            <button className="gallery-nav gallery-prev" onClick={() => step(-1)} aria-label="Previous photo">
+              ‹
+            </button>
+            <button className="gallery-nav gallery-next" onClick={() => step(1)} aria-label="Next photo">
+              ›
+            </button>
+          </>
+        )}
+      </div>
+
+      {images.length > 1 && (
+        <div className="gallery-thumbnails">
+          {images.map((image, index) => (
+            <button
+              key={image.id}
+              className={`gallery-thumbnail ${index === selected ? 'active' : ''}`}
+              onClick={() => setSelected(index)}
+              aria-label={`Photo ${index + 1} of ${images.length}`}
+              aria-current={index === selected}
+            >
+              <img src={assetUrl(image.thumbnailUrl)} alt="" loading="lazy" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImageGallery;
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { loginUser, registerUser } from '../utils/api';
+import '../styles/Login.css';
+
+const Login = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setSubmitting(true);
+
+    const result = isRegister
+      ? await registerUser(username, password)
+      : await loginUser(username, password);
+
+    setSubmitting(false);
+
+    if (result.success) {
+      onAuthenticated?.(result.data);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const toggleMode = () => {
+    setError(null);
+    setMode(isRegister ? 'login' : 'register');
+  };
+
+  return (
+    <div className="login-page">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h1>🏆 AuctionMania</h1>
+        <p className="login-subtitle">
+          {isRegister ? 'Create an account to start bidding' : 'Sign in to bid'}
+        </p>
+
+        <label className="login-field">
+          <span>Username</span>
+          <input
+            type="text"
+            value={username}
+            autoComplete="username"
+            onChange={(e) => setUsername(e.target.value)}
+            required
+          />
+        </label>
+
+        <label className="login-field">
+          <span>Password</span>
+          <input
+            type="password"
+            value={password}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            onChange={(e) => setPassword(e.target.value)}
+            minLength={isRegister ? 8 : undefined}
+            required
+          />
+        </label>
+
+        {error && <div className="login-error">{error}</div>}
+
+        <button className="login-button" type="submit" disabled={submitting}>
+          {submitting ? 'Please wait...' : isRegister ? 'Register' : 'Log In'}
+        </button>
+
+        <button className="login-toggle" type="button" onClick={toggleMode}>
+          {isRegister
+            ? 'Already have an account? Log in'
+            : "Don't have an account? Register"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { validateBidAmount } from '../utils/bidValidation';
+import { formatMoney, minorUnitDigits, toMajorUnits } from '../utils/money';
+import '../styles/MaxBidForm.css';
+
+const MaxBidForm = ({ auction, maxBid, onSetMaxBid, onCancelMaxBid, disabled }) => {
+  const [amount, setAmount] = useState('');
+  const [inputError, setInputError] = useState(null);
+
+  const currentMax = maxBid?.maxAmount ?? null;
+  const minimum = auction.minimumNextBid;
+  const { currency } = auction;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    setInputError(null);
+
+    const result = validateBidAmount(amount, null, currency);
+    if (!result.valid) {
+      setInputError(result.message);
+      return;
+    }
+
+    if (currentMax !== null && result.amount <= currentMax) {
+      setInputError(`New maximum must be above ${formatMoney(currentMax, currency)}`);
+      return;
+    }
+
+    onSetMaxBid?.(auction.id, result.amount, currency);
+    setAmount('');
+  };
+
+  return (
+    <form className="max-bid-form" onSubmit={handleSubmit}>
+      {currentMax !== null && (
+        <div className="max-bid-current">
+          <span>
+            Your max: <strong>{formatMoney(currentMax, currency)}</strong>
+          </span>
+          <button
+            type="button"
+            className="max-bid-cancel"
+            onClick={() => onCancelMaxBid?.(auction.id)}
+            disabled={disabled}
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      <div className="max-bid-row">
+        <input
+          type="number"
+          className="max-bid-input"
+          min={toMajorUnits(currentMax !== null ? currentMax + 1 : minimum, currency)}
+          step={10 ** -minorUnitDigits(currency)}
+          placeholder={
+            currentMax !== null
+              ? 'Raise max'
+              : `Max bid (≥ ${formatMoney(minimum, currency)})`
+          }
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          disabled={disabled}
+        />
+        <button
+          type="submit"
+          className="max-bid-submit"
+          disabled={disabled || !amount}
+        >
+          {currentMax !== null ? 'Raise' : 'Set Max'}
+        </button>
+      </div>
+
+      {(inputError || maxBid?.error) && (
+        <p className="max-bid-error">{inputError || maxBid.error}</p>
+      )}
+    </form>
+  );
+};
+
+export default MaxBidForm;
@@ -0,0 +1,65 @@
+import React, { useState, useContext } from 'react';
+import AuctionContext from '../context/AuctionContext';
+import '../styles/MyBids.css';
+
+const SECTIONS = [
+  { key: 'winning', label: 'Winning', empty: 'You are not leading any auction' },
+  { key: 'losing', label: 'Losing', empty: 'Nobody has outbid you' },
+  { key: 'watching', label: 'Watching', empty: 'Star an auction to watch it' },
+  { key: 'won', label: 'Won', empty: 'No wins yet' },
+  { key: 'lost', label: 'Lost', empty: 'Nothing lost' },
+];
+
+// Same rules as Auction#getBidderSummary on the server, applied to live state.
+const bidStatus = (auction) => {
+  if (auction.status === 'closed') {
+    return auction.youWon ? 'won' : 'lost';
+  }
+  return auction.youAreLeading ? 'winning' : 'losing';
+};
+
+const MyBids = ({ renderCard }) => {
+  const { auctions, userBids, watchlist } = useContext(AuctionContext);
+  const [section, setSection] = useState('winning');
+
+  const groups = Object.fromEntries(SECTIONS.map(({ key }) => [key, []]));
+  auctions.forEach((auction) => {
+    if (auction.id in userBids) {
+      groups[bidStatus(auction)].push(auction);
+    }
+    if (watchlist.includes(auction.id) && auction.status !== 'closed') {
+      groups.watching.push(auction);
+    }
+  });
+
+  const current = SECTIONS.find(({ key }) => key === section);
+
+  return (
+    <div className="my-bids">
+      <div className="my-bids-tabs" role="tablist">
+        {SECTIONS.map(({ key, label }) => (
+          <button
+            key={key}
+            role="tab"
+            aria-selected={section === key}
+            className={`my-bids-tab ${section === key ? 'active' : ''}`}
+            onClick={() => setSection(key)}
+          >
+            {label}
+            <span className="my-bids-count">{groups[key].length}</span>
+          </button>
+        ))}
+      </div>
+
+      {groups[section].length === 0 ? (
+        <div className="empty-state">
+          <p>{current.empty}</p>
+        </div>
+      ) : (
+        <div className="auction-grid">{groups[section].map(renderCard)}</div>
+      )}
+    </div>
+  );
+};
+
+export default MyBids;
@@ -0,0 +1,132 @@
+import React, { useState, useContext, useEffect, useRef } from 'react';
+import AuctionContext from '../context/AuctionContext';
+import { formatMoney } from '../utils/money';
+import '../styles/NotificationCenter.css';
+
+const NOTIFICATION_ICONS = {
+  outbid: '⚠️',
+  won: '🏆',
+  ended: '⏱️',
+  moderated: '🛡️',
+};
+
+const MODERATION_MESSAGES = {
+  paused: (title) => `${title} was paused by a moderator`,
+  resumed: (title) => `${title} was resumed`,
+  extended: (title) => `${title} was extended by a moderator`,
+  bid_voided: (title, amount) => `A bid on ${title} was voided; the price is now ${amount}`,
+  cancelled: (title) => `${title} was cancelled by a moderator`,
+};
+
+const describeNotification = (notification, title) => {
+  const amount = formatMoney(notification.amount, notification.currency);
+
+  switch (notification.type) {
+    case 'outbid':
+      return `You were outbid on ${title} (${amount})`;
+    case 'won':
+      return `You won ${title} for ${amount}`;
+    case 'ended':
+      return `${title} ended at ${amount}`;
+    case 'moderated':
+      return MODERATION_MESSAGES[notification.action]?.(title, amount) ?? title;
+    default:
+      return title;
+  }
+};
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+const NotificationCenter = () => {
+  const {
+    auctions,
+    notifications,
+    unreadCount,
+    markNotificationsRead,
+    clearNotifications,
+  } = useContext(AuctionContext);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      markNotificationsRead();
+    }
+  }, [open, notifications, markNotificationsRead]);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const titleFor = (auctionId) =>
+    auctions.find((a) => a.id === auctionId)?.title || 'an auction';
+
+  return (
+    <div className="notification-center" ref={containerRef}>
+      <button
+        className="notification-bell"
+        onClick={() => setOpen((prev) => !prev)}
+        aria-label={`Notifications (${unreadCount} unread)`}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="notification-count">{unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <span>Notifications</span>
+            {notifications.length > 0 && (
+              <button className="notification-clear" onClick={clearNotifications}>
+                Clear
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="notification-empty">No notifications yet</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map((notification) => (
+                <li
+                  key={notification.id}
+                  className={`notification-item notification-${notification.type}`}
+                >
+                  <span className="notification-icon">
+                    {NOTIFICATION_ICONS[notification.type]}
+                  </span>
+                  <span className="notification-text">
+                    {describeNotification(
+                      notification,
+                      titleFor(notification.auctionId)
+                    )}
+                  </span>
+                  <span className="notification-time">
+                    {formatTime(notification.timestamp)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
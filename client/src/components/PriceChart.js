@@ -0,0 +1,71 @@
+import React, { useContext } from 'react';
+import AuctionContext from '../context/AuctionContext';
+import { formatMoney } from '../utils/money';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 16, right: 16, bottom: 24, left: 16 };
+
+// The standing price as a step line, from the start of the auction until
+// now (or its close). Voided bids are left out, as they no longer count.
+const PriceChart = ({ auction, bids }) => {
+  const { getClientServerTime } = useContext(AuctionContext);
+  const { currency, startingPrice, startTime } = auction;
+  const standing = bids.filter((bid) => !bid.voided);
+
+  const end = Math.max(
+    startTime + 1,
+    auction.closedAt ?? Math.min(getClientServerTime(), auction.endTime)
+  );
+  const top = Math.max(startingPrice, ...standing.map((bid) => bid.amount));
+  const range = top - startingPrice || startingPrice || 1;
+  const low = Math.max(0, startingPrice - range * 0.1);
+  const high = top + range * 0.1;
+
+  const x = (time) =>
+    PADDING.left +
+    ((Math.min(Math.max(time, startTime), end) - startTime) / (end - startTime)) *
+      (WIDTH - PADDING.left - PADDING.right);
+  const y = (amount) =>
+    HEIGHT - PADDING.bottom - ((amount - low) / (high - low)) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+  const path = [`M ${x(startTime)} ${y(startingPrice)}`];
+  standing.forEach((bid) => {
+    path.push(`H ${x(bid.timestamp)}`, `V ${y(bid.amount)}`);
+  });
+  path.push(`H ${x(end)}`);
+
+  const time = (timestamp) =>
+    new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <figure className="price-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Price over time">
+        <line
+          className="price-chart-axis"
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={HEIGHT - PADDING.bottom}
+          y2={HEIGHT - PADDING.bottom}
+        />
+        <path className="price-chart-line" d={path.join(' ')} />
+        {standing.map((bid) => (
+          <circle key={bid.index} className="price-chart-point" cx={x(bid.timestamp)} cy={y(bid.amount)} r="3">
+            <title>{`${formatMoney(bid.amount, currency)} by ${bid.bidder}`}</title>
+          </circle>
+        ))}
+        <text className="price-chart-label" x={PADDING.left} y={HEIGHT - 6}>
+          {time(startTime)}
+        </text>
+        <text className="price-chart-label" x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end">
+          {time(end)}
+        </text>
+        <text className="price-chart-label" x={WIDTH - PADDING.right} y={PADDING.top} textAnchor="end">
+          {formatMoney(top, currency)}
+        </text>
+      </svg>
+    </figure>
+  );
+};
+
+export default PriceChart;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { fetchWallet, depositFunds } from '../utils/api';
+import { validateBidAmount } from '../utils/bidValidation';
+import { formatMoney, minorUnitDigits } from '../utils/money';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../generated/socketEvents';
+import '../styles/Wallet.css';
+
+// Test sources of the server's fake payment provider.
+const SOURCES = [
+  { key: 'tok_visa', label: 'Test Visa' },
+  { key: 'tok_mastercard', label: 'Test Mastercard' },
+  { key: 'tok_declined', label: 'Declined card' },
+  { key: 'tok_insufficient_funds', label: 'Card with no funds' },
+];
+
+const ENTRY_LABELS = {
+  deposit: 'Deposit',
+  purchase: 'Won auction',
+  sale: 'Sold auction',
+};
+
+/*
+ * Balances, the bids currently holding money and recent ledger entries, with
+ * a deposit form. Refetched whenever `version` changes, which the dashboard
+ * bumps on events that move the user's holds.
+ */
+const Wallet = ({ version, auctionsById, onOpenAuction }) => {
+  const [wallet, setWallet] = useState(null);
+  const [error, setError] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [source, setSource] = useState(SOURCES[0].key);
+  const [depositing, setDepositing] = useState(false);
+  const [depositError, setDepositError] = useState(null);
+
+  const load = useCallback(async () => {
+    const result = await fetchWallet();
+    if (result.success) {
+      setWallet(result.data);
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load, version]);
+
+  const handleDeposit = async (event) => {
+    event.preventDefault();
+    setDepositError(null);
+
+    const parsed = validateBidAmount(amount, null, currency);
+    if (!parsed.valid) {
+      setDepositError(parsed.message);
+      return;
+    }
+
+    setDepositing(true);
+    const result = await depositFunds(parsed.amount, currency, source);
+    setDepositing(false);
+
+    if (result.success) {
+      setWallet(result.data.wallet);
+      setAmount('');
+    } else {
+      setDepositError(result.error);
+    }
+  };
+
+  const auctionTitle = (auctionId) => auctionsById.get(auctionId)?.title || 'Auction';
+
+  return (
+    <div className="wallet">
+      <section className="wallet-panel">
+        <div className="wallet-header">
+          <h2>Wallet</h2>
+          <button className="wallet-refresh" onClick={load}>
+            Refresh
+          </button>
+        </div>
+
+        {error && <p className="wallet-error">{error}</p>}
+
+        {wallet && wallet.balances.length === 0 && (
+          <p className="wallet-empty">Deposit funds to start bidding.</p>
+        )}
+
+        {wallet && wallet.balances.length > 0 && (
+          <table className="wallet-table">
+            <thead>
+              <tr>
+                <th>Currency</th>
+                <th>Balance</th>
+                <th>Held by bids</th>
+                <th>Available</th>
+              </tr>
+            </thead>
+            <tbody>
+              {wallet.balances.map((row) => (
+                <tr key={row.currency}>
+                  <td>{row.currency}</td>
+                  <td>{formatMoney(row.balance, row.currency)}</td>
+                  <td>{formatMoney(row.held, row.currency)}</td>
+                  <td className="wallet-available">{formatMoney(row.available, row.currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <form className="wallet-deposit" onSubmit={handleDeposit}>
+          <input
+            type="number"
+            min="0"
+            step={10 ** -minorUnitDigits(currency)}
+            placeholder="Amount"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            disabled={depositing}
+          />
+          <select value={currency} onChange={(e) => setCurrency(e.target.value)} disabled={depositing}>
+            {Object.keys(CURRENCIES).map((code) => (
+              <option key={code} value={code}>
+                {code}
+              </option>
+            ))}
+          </select>
+          <select value={source} onChange={(e) => setSource(e.target.value)} disabled={depositing}>
+            {SOURCES.map(({ key, label }) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button type="submit" disabled={depositing || !amount}>
+            {depositing ? 'Depositing...' : 'Deposit'}
+          </button>
+        </form>
+        {depositError && <p className="wallet-error">{depositError}</p>}
+      </section>
+
+      {wallet && wallet.holds.length > 0 && (
+        <section className="wallet-panel">
+          <h3>Held for your leading bids</h3>
+          <ul className="wallet-list">
+            {wallet.holds.map((hold) => (
+              <li key={hold.auctionId}>
+                <button className="wallet-link" onClick={() => onOpenAuction(hold.auctionId)}>
+                  {auctionTitle(hold.auctionId)}
+                </button>
+                <span>{formatMoney(hold.amount, hold.currency)}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {wallet && wallet.entries.length > 0 && (
+        <section className="wallet-panel">
+          <h3>Activity</h3>
+          <ul className="wallet-list">
+            {wallet.entries.map((entry) => (
+              <li key={entry.id}>
+                <span>
+                  {ENTRY_LABELS[entry.type] || entry.type}
+                  {entry.auctionId && (
+                    <>
+                      {': '}
+                      <button className="wallet-link" onClick={() => onOpenAuction(entry.auctionId)}>
+                        {auctionTitle(entry.auctionId)}
+                      </button>
+                    </>
+                  )}
+                  <time className="wallet-time">{new Date(entry.timestamp).toLocaleString()}</time>
+                </span>
+                <span className={entry.amount < 0 ? 'wallet-debit' : 'wallet-credit'}>
+                  {formatMoney(entry.amount, entry.currency)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default Wallet;
@@ -1,13 +1,30 @@
-import React, { createContext, useState, useCallback, useRef } from 'react';
+import React, { createContext, useState, useCallback, useRef, useEffect } from 'react';
+import {
+  measureSample,
+  estimateOffset,
+  addSample,
+  STALE_AFTER_MS,
+} from '../utils/clockSync';
 
 const AuctionContext = createContext();
 
+const MAX_NOTIFICATIONS = 50;
+
 export const AuctionProvider = ({ children }) => {
+  // Every auction this tab knows about: grid pages, My Bids and the
+  // watchlist. Views pick theirs out by id.
   const [auctions, setAuctions] = useState([]);
+  // Auctions the user has bid in, by id: { myBid, maxBid }. Loaded from
+  // GET /me/bids and kept current from socket events.
   const [userBids, setUserBids] = useState({});
+  const [watchlist, setWatchlist] = useState([]);
+  const [notifications, setNotifications] = useState([]);
   const [serverTime, setServerTime] = useState(Date.now());
-  const [timeOffset, setTimeOffset] = useState(0);
+  const [seedOffset, setSeedOffset] = useState(0);
+  const clockSamplesRef = useRef([]);
+  const [clock, setClock] = useState(() => estimateOffset([]));
   const syncIntervalRef = useRef(null);
+  const notificationSeqRef = useRef(0);
 
   const updateAuctionState = useCallback((auctionId, updates) => {
     setAuctions((prev) =>
@@ -17,19 +34,74 @@ export const AuctionProvider = ({ children }) => {
     );
   }, []);
 
-  const updateUserBid = useCallback((auctionId, isWinning) => {
+  const upsertAuctions = useCallback((incoming) => {
+    setAuctions((prev) => {
+      const byId = new Map(prev.map((auction) => [auction.id, auction]));
+      incoming.forEach((auction) => byId.set(auction.id, auction));
+      return Array.from(byId.values());
+    });
+  }, []);
+
+  const updateUserBid = useCallback((auctionId, updates = {}) => {
     setUserBids((prev) => ({
       ...prev,
-      [auctionId]: isWinning,
+      [auctionId]: { ...prev[auctionId], ...updates },
     }));
   }, []);
 
+  const addNotification = useCallback((notification) => {
+    setNotifications((prev) => [
+      {
+        id: ++notificationSeqRef.current,
+        timestamp: Date.now(),
+        read: false,
+        ...notification,
+      },
+      ...prev,
+    ].slice(0, MAX_NOTIFICATIONS));
+  }, []);
+
+  const markNotificationsRead = useCallback(() => {
+    setNotifications((prev) =>
+      prev.some((n) => !n.read) ? prev.map((n) => ({ ...n, read: true })) : prev
+    );
+  }, []);
+
+  const clearNotifications = useCallback(() => {
+    setNotifications([]);
+  }, []);
+
+  const unreadCount = notifications.filter((n) => !n.read).length;
+
+  // Timestamps that arrive without a round trip are off by the one-way
+  // delay, so they only seed the offset until a heartbeat has been timed.
   const syncServerTime = useCallback((newServerTime) => {
-    const now = Date.now();
-    setTimeOffset(newServerTime - now);
     setServerTime(newServerTime);
+    if (clockSamplesRef.current.length === 0) {
+      setSeedOffset(newServerTime - Date.now());
+    }
+  }, []);
+
+  // sample: { sentAt, serverTime, receivedAt }, local times around a
+  // HEARTBEAT and its ack.
+  const recordClockSample = useCallback((sample) => {
+    clockSamplesRef.current = addSample(clockSamplesRef.current, measureSample(sample));
+    setClock(estimateOffset(clockSamplesRef.current));
   }, []);
 
+  // Without new samples the estimate goes stale; re-check it now and then.
+  useEffect(() => {
+    const timer = setInterval(() => {
+      if (clockSamplesRef.current.length === 0) return;
+
+      const next = estimateOffset(clockSamplesRef.current);
+      setClock((prev) => (prev.reliable === next.reliable ? prev : next));
+    }, STALE_AFTER_MS / 4);
+    return () => clearInterval(timer);
+  }, []);
+
+  const timeOffset = clock.samples > 0 ? clock.offset : seedOffset;
+
   const getClientServerTime = useCallback(() => {
     return Date.now() + timeOffset;
   }, [timeOffset]);
@@ -37,12 +109,23 @@ export const AuctionProvider = ({ children }) => {
   const value = {
     auctions,
     setAuctions,
+    upsertAuctions,
     userBids,
+    setUserBids,
     updateUserBid,
+    watchlist,
+    setWatchlist,
+    notifications,
+    unreadCount,
+    addNotification,
+    markNotificationsRead,
+    clearNotifications,
     updateAuctionState,
     serverTime,
     timeOffset,
+    clock,
     syncServerTime,
+    recordClockSample,
     getClientServerTime,
     syncIntervalRef,
   };
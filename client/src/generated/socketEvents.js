@@ -0,0 +1,93 @@
+// Generated by server/scripts/generate-socket-events.js. Do not edit.
+
+export const SOCKET_EVENTS = {
+  CONNECT: 'connect',
+  CONNECT_ERROR: 'connect_error',
+  DISCONNECT: 'disconnect',
+  JOIN_AUCTION: 'JOIN_AUCTION',
+  LEAVE_AUCTION: 'LEAVE_AUCTION',
+  GET_AUCTION_STATE: 'GET_AUCTION_STATE',
+  BID_PLACED: 'BID_PLACED',
+  SET_MAX_BID: 'SET_MAX_BID',
+  CANCEL_MAX_BID: 'CANCEL_MAX_BID',
+  HEARTBEAT: 'HEARTBEAT',
+  SUBSCRIBE_SUMMARY: 'SUBSCRIBE_SUMMARY',
+  UNSUBSCRIBE_SUMMARY: 'UNSUBSCRIBE_SUMMARY',
+  SUBSCRIBE_DETAIL: 'SUBSCRIBE_DETAIL',
+  UNSUBSCRIBE_DETAIL: 'UNSUBSCRIBE_DETAIL',
+  AUCTION_STATE: 'AUCTION_STATE',
+  BID_UPDATE: 'BID_UPDATE',
+  BID_SUCCESS: 'BID_SUCCESS',
+  BID_ERROR: 'BID_ERROR',
+  OUTBID: 'OUTBID',
+  HEARTBEAT_ACK: 'HEARTBEAT_ACK',
+  USER_JOINED: 'USER_JOINED',
+  USER_LEFT: 'USER_LEFT',
+  AUCTION_CREATED: 'AUCTION_CREATED',
+  AUCTION_UPDATED: 'AUCTION_UPDATED',
+  AUCTION_CANCELLED: 'AUCTION_CANCELLED',
+  AUCTION_STARTED: 'AUCTION_STARTED',
+  AUCTION_ENDED: 'AUCTION_ENDED',
+  MAX_BID_UPDATE: 'MAX_BID_UPDATE',
+  MAX_BID_ERROR: 'MAX_BID_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  USER_BANNED: 'USER_BANNED',
+  USER_UNBANNED: 'USER_UNBANNED',
+  PRICE_TICKS: 'PRICE_TICKS',
+};
+
+export const CLIENT_EVENTS = [
+  'JOIN_AUCTION',
+  'LEAVE_AUCTION',
+  'GET_AUCTION_STATE',
+  'BID_PLACED',
+  'SET_MAX_BID',
+  'CANCEL_MAX_BID',
+  'HEARTBEAT',
+  'SUBSCRIBE_SUMMARY',
+  'UNSUBSCRIBE_SUMMARY',
+  'SUBSCRIBE_DETAIL',
+  'UNSUBSCRIBE_DETAIL',
+];
+
+// Amounts are integers in the currency's minor unit.
+export const BID_LIMITS = {
+  maxAmount: 100000000000,
+};
+
+// ISO 4217 code → number of minor unit digits.
+export const CURRENCIES = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CAD: 2,
+  AUD: 2,
+  CHF: 2,
+  JPY: 0,
+  KRW: 0,
+  BHD: 3,
+};
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Item categories and conditions: stored key → display label.
+export const CATEGORIES = {
+  art: 'Art',
+  electronics: 'Electronics',
+  collectibles: 'Collectibles',
+  fashion: 'Fashion',
+  jewelry: 'Jewelry & watches',
+  books: 'Books',
+  home: 'Home & garden',
+  sports: 'Sports',
+  other: 'Other',
+};
+
+export const CONDITIONS = {
+  new: 'New',
+  like_new: 'Like new',
+  good: 'Good',
+  fair: 'Fair',
+  for_parts: 'For parts',
+};
@@ -1,6 +1,13 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useContext } from 'react';
+import AuctionContext from '../context/AuctionContext';
 
-export const useCountdownTimer = (endTime, getClientServerTime) => {
+/*
+ * Counts down to `endTime` on the estimated server clock. `uncertainty` is
+ * how far that clock may be off, so when `timeRemaining` is below it the
+ * auction may already have closed (or still be open) on the server.
+ */
+export const useCountdownTimer = (endTime) => {
+  const { getClientServerTime, clock } = useContext(AuctionContext);
   const [timeRemaining, setTimeRemaining] = useState(0);
   const [isExpired, setIsExpired] = useState(false);
 
@@ -43,10 +50,15 @@ export const useCountdownTimer = (endTime, getClientServerTime) => {
     };
   }, []);
 
+  const uncertainty = Number.isFinite(clock.uncertainty) ? clock.uncertainty : null;
+
   return {
     timeRemaining,
     isExpired,
     formatted: formatTime(timeRemaining),
+    uncertainty,
+    isUncertain:
+      !clock.reliable || (uncertainty !== null && !isExpired && timeRemaining <= uncertainty),
   };
 };
 
@@ -0,0 +1,41 @@
+import { useEffect, useState } from 'react';
+
+/*
+ * Whether the element is on screen (within `rootMargin`). Leaving is
+ * reported only after `leaveDelay` ms, so fast scrolling does not make
+ * subscribers join and leave over and over.
+ */
+const useInViewport = (ref, { rootMargin = '200px', leaveDelay = 2000 } = {}) => {
+  const [inViewport, setInViewport] = useState(
+    typeof IntersectionObserver === 'undefined'
+  );
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || typeof IntersectionObserver === 'undefined') return;
+
+    let leaveTimer = null;
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        clearTimeout(leaveTimer);
+
+        if (entry.isIntersecting) {
+          setInViewport(true);
+        } else {
+          leaveTimer = setTimeout(() => setInViewport(false), leaveDelay);
+        }
+      },
+      { rootMargin }
+    );
+
+    observer.observe(element);
+    return () => {
+      clearTimeout(leaveTimer);
+      observer.disconnect();
+    };
+  }, [ref, rootMargin, leaveDelay]);
+
+  return inViewport;
+};
+
+export default useInViewport;
@@ -1,45 +1,108 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import io from 'socket.io-client';
+import { SOCKET_EVENTS } from '../generated/socketEvents';
 
-const SOCKET_EVENTS = {
-  CONNECT: 'connect',
-  DISCONNECT: 'disconnect',
-  JOIN_AUCTION: 'JOIN_AUCTION',
-  LEAVE_AUCTION: 'LEAVE_AUCTION',
-  BID_PLACED: 'BID_PLACED',
-  BID_UPDATE: 'BID_UPDATE',
-  BID_SUCCESS: 'BID_SUCCESS',
-  BID_ERROR: 'BID_ERROR',
-  AUCTION_STATE: 'AUCTION_STATE',
-  OUTBID: 'OUTBID',
-  HEARTBEAT: 'HEARTBEAT',
-  HEARTBEAT_ACK: 'HEARTBEAT_ACK',
-  GET_AUCTION_STATE: 'GET_AUCTION_STATE',
-  USER_JOINED: 'USER_JOINED',
-  USER_LEFT: 'USER_LEFT',
-};
+const BID_ACK_TIMEOUT = 10000;
+const HEARTBEAT_INTERVAL = 5000;
+// Quick heartbeats after connecting, so the clock estimate has enough
+// samples within a couple of seconds.
+const HEARTBEAT_BURST = 4;
+const HEARTBEAT_BURST_SPACING = 500;
+
+export const generateBidId = () =>
+  window.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
 
-export const useSocket = (userId, onEvents = {}) => {
+export const useSocket = (token, onEvents = {}) => {
   const socketRef = useRef(null);
+  const handlersRef = useRef(onEvents);
+  const pendingBidsRef = useRef(new Map());
+  // Rooms do not survive a reconnect, so the ones asked for are kept here
+  // and joined again whenever the socket connects.
+  const joinedAuctionsRef = useRef(new Set());
+  // auctionId -> the SUBSCRIBE_DETAIL acknowledgement callback
+  const detailSubscriptionsRef = useRef(new Map());
   const [connected, setConnected] = useState(false);
 
   useEffect(() => {
+    handlersRef.current = onEvents;
+  }, [onEvents]);
+
+  const settleBid = useCallback((bidId, response) => {
+    const bid = pendingBidsRef.current.get(bidId);
+    if (!bid) return;
+
+    pendingBidsRef.current.delete(bidId);
+    bid.resolve(response);
+  }, []);
+
+  const sendBid = useCallback((socket, bid) => {
+    bid.sent = true;
+
+    socket
+      .timeout(BID_ACK_TIMEOUT)
+      .emit(SOCKET_EVENTS.BID_PLACED, bid.payload, (err, response) => {
+        if (!err) {
+          settleBid(bid.payload.bidId, response);
+        } else if (socket.connected && pendingBidsRef.current.has(bid.payload.bidId)) {
+          sendBid(socket, bid);
+        }
+        // Otherwise the bid stays queued and is replayed on reconnect.
+      });
+  }, [settleBid]);
+
+  useEffect(() => {
+    if (!token) return;
+
     const serverUrl = process.env.REACT_APP_SERVER_URL || window.location.origin;
 
     socketRef.current = io(serverUrl, {
-      query: { userId: userId || `user_${Date.now()}` },
+      auth: { token },
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
-      reconnectionAttempts: 5,
+      // Keep retrying so queued bids always reach the server for an answer.
+      reconnectionAttempts: Infinity,
       transports: ['websocket'],
     });
 
     const socket = socketRef.current;
+    const pendingBids = pendingBidsRef.current;
+    const joinedAuctions = joinedAuctionsRef.current;
+    const detailSubscriptions = detailSubscriptionsRef.current;
+    let reconnectTimer = null;
+    let burstTimers = [];
+
+    const sendHeartbeat = () => {
+      if (socket.connected) {
+        socket.emit(SOCKET_EVENTS.HEARTBEAT, {
+          clientTime: Date.now(),
+        });
+      }
+    };
+
+    // The server refuses and drops rate-limited users without the client
+    // retrying on its own, so come back once the ban has run out.
+    const reconnectAfter = (delay) => {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = setTimeout(() => socket.connect(), delay);
+    };
 
     socket.on(SOCKET_EVENTS.CONNECT, () => {
       console.log('[Socket] Connected to server');
       setConnected(true);
+
+      socket.emit(SOCKET_EVENTS.SUBSCRIBE_SUMMARY, {});
+      joinedAuctions.forEach((auctionId) => socket.emit(SOCKET_EVENTS.JOIN_AUCTION, auctionId));
+      detailSubscriptions.forEach((onWatchers, auctionId) =>
+        socket.emit(SOCKET_EVENTS.SUBSCRIBE_DETAIL, auctionId, onWatchers)
+      );
+      pendingBids.forEach((bid) => sendBid(socket, bid));
+
+      burstTimers.forEach(clearTimeout);
+      burstTimers = Array.from({ length: HEARTBEAT_BURST }, (_, index) =>
+        setTimeout(sendHeartbeat, index * HEARTBEAT_BURST_SPACING)
+      );
     });
 
     socket.on(SOCKET_EVENTS.DISCONNECT, (reason) => {
@@ -47,42 +110,50 @@ export const useSocket = (userId, onEvents = {}) => {
       setConnected(false);
     });
 
-    Object.entries(onEvents).forEach(([event, handler]) => {
-      if (handler && typeof handler === 'function') {
-        socket.on(event, handler);
+    socket.on(SOCKET_EVENTS.CONNECT_ERROR, (error) => {
+      console.log(`[Socket] Connection error: ${error.message}`);
+      if (error.data?.code === 'RATE_LIMITED') {
+        reconnectAfter(error.data.retryAfter);
       }
+      handlersRef.current[SOCKET_EVENTS.CONNECT_ERROR]?.(error);
     });
 
-    const heartbeatInterval = setInterval(() => {
-      if (socket?.connected) {
-        socket.emit(SOCKET_EVENTS.HEARTBEAT, {
-          clientTime: Date.now(),
-        });
+    socket.on(SOCKET_EVENTS.RATE_LIMITED, (data) => {
+      if (data.disconnected) {
+        reconnectAfter(data.retryAfter);
       }
-    }, 5000);
-
-    return () => {
-      clearInterval(heartbeatInterval);
-      socket.disconnect();
-    };
-  }, [userId, onEvents]);
-
-  useEffect(() => {
-    if (!socketRef.current) return;
+    });
 
-    const socket = socketRef.current;
-    Object.entries(onEvents).forEach(([event, handler]) => {
+    // Dispatch through the ref so handler identity changes never tear down
+    // the connection.
+    socket.onAny((event, ...args) => {
+      const handler = handlersRef.current[event];
       if (handler && typeof handler === 'function') {
-        socket.on(event, handler);
+        handler(...args);
       }
     });
 
+    const heartbeatInterval = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+
     return () => {
-      Object.keys(onEvents).forEach((event) => {
-        socket.off(event);
+      clearInterval(heartbeatInterval);
+      burstTimers.forEach(clearTimeout);
+      clearTimeout(reconnectTimer);
+      socket.disconnect();
+      socketRef.current = null;
+      setConnected(false);
+
+      pendingBids.forEach(({ payload, sent }) => {
+        settleBid(payload.bidId, {
+          ...payload,
+          status: sent ? 'unknown' : 'rejected',
+          message: sent
+            ? 'Disconnected before the server confirmed this bid'
+            : 'Disconnected before this bid was sent',
+        });
       });
     };
-  }, [onEvents]);
+  }, [token, sendBid, settleBid]);
 
   const emit = useCallback((event, data) => {
     if (socketRef.current?.connected) {
@@ -91,20 +162,58 @@ export const useSocket = (userId, onEvents = {}) => {
   }, []);
 
   const joinAuction = useCallback((auctionId) => {
+    joinedAuctionsRef.current.add(auctionId);
     emit(SOCKET_EVENTS.JOIN_AUCTION, auctionId);
   }, [emit]);
 
   const leaveAuction = useCallback((auctionId) => {
+    joinedAuctionsRef.current.delete(auctionId);
     emit(SOCKET_EVENTS.LEAVE_AUCTION, auctionId);
   }, [emit]);
 
-  const placeBid = useCallback((auctionId, amount) => {
-    emit(SOCKET_EVENTS.BID_PLACED, {
+  // The ack carries the watcher count at the time of subscribing;
+  // USER_JOINED and USER_LEFT follow from then on.
+  const subscribeDetail = useCallback((auctionId, onWatchers) => {
+    detailSubscriptionsRef.current.set(auctionId, onWatchers);
+    if (socketRef.current?.connected) {
+      socketRef.current.emit(SOCKET_EVENTS.SUBSCRIBE_DETAIL, auctionId, onWatchers);
+    }
+  }, []);
+
+  const unsubscribeDetail = useCallback((auctionId) => {
+    detailSubscriptionsRef.current.delete(auctionId);
+    emit(SOCKET_EVENTS.UNSUBSCRIBE_DETAIL, auctionId);
+  }, [emit]);
+
+  // Bids stay queued until the server acknowledges them. Each one is resent
+  // with the same bidId after a timeout or reconnect; the server answers a
+  // repeated bidId with the original outcome, so a bid can land at most once.
+  const placeBid = useCallback((auctionId, amount, currency, bidId = generateBidId()) =>
+    new Promise((resolve) => {
+      const bid = {
+        payload: { auctionId, amount, currency, bidId },
+        resolve,
+        sent: false,
+      };
+      pendingBidsRef.current.set(bidId, bid);
+
+      if (socketRef.current?.connected) {
+        sendBid(socketRef.current, bid);
+      }
+    }), [sendBid]);
+
+  const setMaxBid = useCallback((auctionId, maxAmount, currency) => {
+    emit(SOCKET_EVENTS.SET_MAX_BID, {
       auctionId,
-      amount,
+      maxAmount,
+      currency,
     });
   }, [emit]);
 
+  const cancelMaxBid = useCallback((auctionId) => {
+    emit(SOCKET_EVENTS.CANCEL_MAX_BID, { auctionId });
+  }, [emit]);
+
   const getAuctionState = useCallback((auctionId) => {
     emit(SOCKET_EVENTS.GET_AUCTION_STATE, auctionId);
   }, [emit]);
@@ -115,7 +224,11 @@ export const useSocket = (userId, onEvents = {}) => {
     emit,
     joinAuction,
     leaveAuction,
+    subscribeDetail,
+    unsubscribeDetail,
     placeBid,
+    setMaxBid,
+    cancelMaxBid,
     getAuctionState,
   };
 };
@@ -10,12 +10,64 @@ const apiClient = axios.create({
   },
 });
 
-export const fetchAuctions = async () => {
+// Uploaded images are served by the API server, at paths it returns.
+export const assetUrl = (path) => `${API_BASE_URL}${path}`;
+
+export const setAuthToken = (token) => {
+  if (token) {
+    apiClient.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    delete apiClient.defaults.headers.common.Authorization;
+  }
+};
+
+export const registerUser = async (username, password) => {
+  try {
+    const response = await apiClient.post('/auth/register', {
+      username,
+      password,
+    });
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error registering:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+export const loginUser = async (username, password) => {
+  try {
+    const response = await apiClient.post('/auth/login', {
+      username,
+      password,
+    });
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error logging in:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+// params: q, category, status, seller, currency, minPrice, maxPrice, sort,
+// order, cursor and limit, as accepted by GET /items.
+export const fetchAuctions = async (params = {}) => {
   try {
-    const response = await apiClient.get('/items');
+    const response = await apiClient.get('/items', { params });
     return {
       success: true,
       data: response.data.data,
+      pagination: response.data.pagination,
       serverTime: response.data.serverTime,
     };
   } catch (error) {
@@ -60,6 +112,261 @@ export const fetchBidHistory = async (auctionId) => {
   }
 };
 
+export const fetchMyBids = async () => {
+  try {
+    const response = await apiClient.get('/me/bids');
+    return {
+      success: true,
+      data: response.data.data,
+      serverTime: response.data.serverTime,
+    };
+  } catch (error) {
+    console.error('Error fetching your bids:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+export const fetchWatchlist = async () => {
+  try {
+    const response = await apiClient.get('/me/watchlist');
+    return {
+      success: true,
+      data: response.data.data,
+      serverTime: response.data.serverTime,
+    };
+  } catch (error) {
+    console.error('Error fetching watchlist:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+export const setWatching = async (auctionId, watching) => {
+  try {
+    const response = watching
+      ? await apiClient.put(`/me/watchlist/${auctionId}`)
+      : await apiClient.delete(`/me/watchlist/${auctionId}`);
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error updating watchlist:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+export const fetchWallet = async () => {
+  try {
+    const response = await apiClient.get('/me/wallet');
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error fetching wallet:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// `source` is one of the fake payment provider's test sources.
+export const depositFunds = async (amount, currency, source) => {
+  try {
+    const response = await apiClient.post('/me/wallet/deposits', { amount, currency, source });
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error making deposit:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+// Sends the file as the request body; the server answers with the image's
+// id (for an auction's `images`) and its full size and thumbnail paths.
+export const uploadImage = async (file) => {
+  try {
+    const response = await apiClient.post('/uploads', file, {
+      headers: { 'Content-Type': file.type },
+      timeout: 60000,
+    });
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+export const createAuction = async (auction) => {
+  try {
+    const response = await apiClient.post('/items', auction);
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error creating auction:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+export const updateAuction = async (auctionId, updates) => {
+  try {
+    const response = await apiClient.patch(`/items/${auctionId}`, updates);
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error updating auction:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+export const cancelAuction = async (auctionId) => {
+  try {
+    const response = await apiClient.delete(`/items/${auctionId}`);
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error cancelling auction:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+export const fetchAdminAuctions = async () => {
+  try {
+    const response = await apiClient.get('/admin/auctions');
+    return {
+      success: true,
+      data: response.data.data,
+      serverTime: response.data.serverTime,
+    };
+  } catch (error) {
+    console.error('Error fetching admin auctions:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+export const fetchAdminBids = async (auctionId) => {
+  try {
+    const response = await apiClient.get(`/admin/auctions/${auctionId}/bids`);
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error fetching admin bids:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+// action is one of pause, resume, extend or cancel.
+export const moderateAuction = async (auctionId, action, body = {}) => {
+  try {
+    const response = await apiClient.post(`/admin/auctions/${auctionId}/${action}`, body);
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error(`Error moderating auction (${action}):`, error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+export const voidBid = async (auctionId, bidIndex, reason) => {
+  try {
+    const response = await apiClient.post(
+      `/admin/auctions/${auctionId}/bids/${bidIndex}/void`,
+      { reason }
+    );
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error voiding bid:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+export const banUser = async (userId, reason) => {
+  try {
+    const response = await apiClient.post(`/admin/users/${userId}/ban`, { reason });
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error banning user:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+export const unbanUser = async (userId) => {
+  try {
+    const response = await apiClient.delete(`/admin/users/${userId}/ban`);
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error unbanning user:', error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
 export const checkServerHealth = async () => {
   try {
     const response = await apiClient.get('/health');
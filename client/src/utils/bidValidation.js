@@ -0,0 +1,51 @@
+import { BID_LIMITS } from '../generated/socketEvents';
+import { minorUnitDigits, formatMoney } from './money';
+
+export const MAX_BID_AMOUNT = BID_LIMITS.maxAmount;
+
+const AMOUNT_PATTERN = /^(\d+)(?:\.(\d*))?$/;
+
+// Converts typed major units ("12.50") to integer minor units by working on
+// the digits, so no floating point rounding is involved.
+export const parseBidAmount = (input, currency) => {
+  const match = AMOUNT_PATTERN.exec(String(input ?? '').trim());
+  if (!match) return { amount: NaN };
+
+  const digits = minorUnitDigits(currency);
+  const fraction = (match[2] || '').replace(/0+$/, '');
+  if (fraction.length > digits) return { amount: NaN, tooPrecise: true };
+
+  return { amount: Number(match[1] + fraction.padEnd(digits, '0')) };
+};
+
+export const validateBidAmount = (input, minimumBid, currency) => {
+  const { amount, tooPrecise } = parseBidAmount(input, currency);
+
+  if (tooPrecise) {
+    const digits = minorUnitDigits(currency);
+    return {
+      valid: false,
+      message:
+        digits === 0
+          ? `${currency} amounts cannot have decimals`
+          : `${currency} amounts allow at most ${digits} decimal places`,
+    };
+  }
+
+  if (!Number.isSafeInteger(amount) || amount <= 0) {
+    return { valid: false, message: 'Enter a valid amount' };
+  }
+
+  if (amount > MAX_BID_AMOUNT) {
+    return { valid: false, message: 'Amount is too large' };
+  }
+
+  if (minimumBid != null && amount < minimumBid) {
+    return {
+      valid: false,
+      message: `Bid must be at least ${formatMoney(minimumBid, currency)}`,
+    };
+  }
+
+  return { valid: true, amount };
+};
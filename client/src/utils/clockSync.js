@@ -0,0 +1,65 @@
+// Estimates the offset between this clock and the server's from heartbeat
+// round trips, the way NTP does with a single server timestamp.
+
+const WINDOW_SIZE = 16;
+const MIN_SAMPLES = 3;
+// A sample whose round trip is this much slower than the median is dropped:
+// the extra delay is most likely on one leg only, which skews its offset.
+const OUTLIER_FACTOR = 1.5;
+const OUTLIER_SLACK_MS = 20;
+export const UNRELIABLE_UNCERTAINTY_MS = 250;
+export const STALE_AFTER_MS = 20000;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/*
+ * One sample from a request sent at `sentAt` and answered at `receivedAt`
+ * (both local) with the server's `serverTime`. Assuming both legs took the
+ * same time, the server stamped it at the midpoint; the offset can be wrong
+ * by at most half the round trip.
+ */
+export const measureSample = ({ sentAt, serverTime, receivedAt }) => {
+  const rtt = Math.max(0, receivedAt - sentAt);
+  return {
+    rtt,
+    offset: serverTime - (sentAt + receivedAt) / 2,
+    receivedAt,
+  };
+};
+
+/*
+ * Combines a window of samples into one estimate. The offset is the median
+ * of the samples that survive outlier filtering; `uncertainty` adds half the
+ * best round trip (the most any one sample can be off by) to the spread of
+ * the offsets around that median.
+ */
+export const estimateOffset = (samples, now = Date.now()) => {
+  if (samples.length === 0) {
+    return { offset: 0, uncertainty: Infinity, rtt: null, samples: 0, reliable: false };
+  }
+
+  const limit = median(samples.map((s) => s.rtt)) * OUTLIER_FACTOR + OUTLIER_SLACK_MS;
+  const kept = samples.filter((s) => s.rtt <= limit);
+  const offset = median(kept.map((s) => s.offset));
+  const spread = median(kept.map((s) => Math.abs(s.offset - offset)));
+  const bestRtt = Math.min(...kept.map((s) => s.rtt));
+  const uncertainty = bestRtt / 2 + spread;
+  const latest = Math.max(...samples.map((s) => s.receivedAt));
+
+  return {
+    offset: Math.round(offset),
+    uncertainty: Math.round(uncertainty),
+    rtt: Math.round(median(kept.map((s) => s.rtt))),
+    samples: kept.length,
+    reliable:
+      kept.length >= MIN_SAMPLES &&
+      uncertainty <= UNRELIABLE_UNCERTAINTY_MS &&
+      now - latest <= STALE_AFTER_MS,
+  };
+};
+
+export const addSample = (samples, sample) => [...samples, sample].slice(-WINDOW_SIZE);
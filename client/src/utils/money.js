@@ -0,0 +1,24 @@
+import { CURRENCIES, DEFAULT_CURRENCY } from '../generated/socketEvents';
+
+// Amounts arrive from the server as integers in the currency's minor unit.
+export const minorUnitDigits = (currency = DEFAULT_CURRENCY) =>
+  CURRENCIES[currency] ?? 2;
+
+export const toMajorUnits = (amount, currency) =>
+  amount / 10 ** minorUnitDigits(currency);
+
+const formatters = new Map();
+
+// Formats for the user's own locale; the currency comes from the auction.
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  if (amount == null) return '';
+
+  if (!formatters.has(currency)) {
+    formatters.set(
+      currency,
+      new Intl.NumberFormat(undefined, { style: 'currency', currency })
+    );
+  }
+
+  return formatters.get(currency).format(toMajorUnits(amount, currency));
+};
@@ -0,0 +1,64 @@
+/*
+ * Writes the client's socket event table from the server schemas so the two
+ * cannot drift apart. Run with `npm run generate:events` after changing
+ * src/schemas/events.js and commit the result.
+ */
+const fs = require('fs');
+const path = require('path');
+const { CLIENT_EVENTS, SERVER_EVENTS, MAX_AMOUNT } = require('../src/schemas');
+const { CURRENCIES, DEFAULT_CURRENCY } = require('../src/utils/money');
+const { CATEGORIES, CONDITIONS } = require('../src/utils/catalog');
+
+const OUTPUT = path.join(__dirname, '../../client/src/generated/socketEvents.js');
+
+const BUILT_IN_EVENTS = {
+  CONNECT: 'connect',
+  CONNECT_ERROR: 'connect_error',
+  DISCONNECT: 'disconnect',
+};
+
+const socketEvents = { ...BUILT_IN_EVENTS };
+[...Object.keys(CLIENT_EVENTS), ...SERVER_EVENTS].forEach((event) => {
+  socketEvents[event] = event;
+});
+
+const entries = (object) =>
+  Object.entries(object)
+    .map(([key, value]) => `  ${key}: ${JSON.stringify(value).replace(/"/g, "'")},`)
+    .join('\n');
+
+const source = `// Generated by server/scripts/generate-socket-events.js. Do not edit.
+
+export const SOCKET_EVENTS = {
+${entries(socketEvents)}
+};
+
+export const CLIENT_EVENTS = [
+${Object.keys(CLIENT_EVENTS).map((event) => `  '${event}',`).join('\n')}
+];
+
+// Amounts are integers in the currency's minor unit.
+export const BID_LIMITS = {
+${entries({ maxAmount: MAX_AMOUNT })}
+};
+
+// ISO 4217 code → number of minor unit digits.
+export const CURRENCIES = {
+${entries(CURRENCIES)}
+};
+
+export const DEFAULT_CURRENCY = '${DEFAULT_CURRENCY}';
+
+// Item categories and conditions: stored key → display label.
+export const CATEGORIES = {
+${entries(CATEGORIES)}
+};
+
+export const CONDITIONS = {
+${entries(CONDITIONS)}
+};
+`;
+
+fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+fs.writeFileSync(OUTPUT, source);
+console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
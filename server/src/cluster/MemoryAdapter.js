@@ -0,0 +1,47 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+/*
+ * Socket.IO cluster adapter over an in-process event bus. It relays
+ * broadcasts such as BID_UPDATE between Socket.IO servers running in the
+ * same process; a networked adapter does the same over pub/sub.
+ */
+class MemoryAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, opts = {}) {
+    super(nsp, opts);
+    this.bus = bus;
+
+    this.handleMessage = (message) => this.onMessage(message);
+    this.handleResponse = (requesterUid, response) => {
+      if (requesterUid === this.uid) {
+        this.onResponse(response);
+      }
+    };
+
+    this.bus.on('message', this.handleMessage);
+    this.bus.on('response', this.handleResponse);
+  }
+
+  doPublish(message) {
+    setImmediate(() => this.bus.emit('message', message));
+    return Promise.resolve('');
+  }
+
+  doPublishResponse(requesterUid, response) {
+    setImmediate(() => this.bus.emit('response', requesterUid, response));
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    this.bus.off('message', this.handleMessage);
+    this.bus.off('response', this.handleResponse);
+  }
+}
+
+function createMemoryAdapter(bus, opts) {
+  return function (nsp) {
+    return new MemoryAdapter(nsp, bus, opts);
+  };
+}
+
+module.exports = { MemoryAdapter, createMemoryAdapter };
@@ -0,0 +1,52 @@
+const { EventEmitter } = require('events');
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/*
+ * In-process stand-in for the shared ordering backend. Every instance reads
+ * the latest versioned auction record from here and publishes changes with
+ * compare-and-set, so only one of two competing writes can win. A networked
+ * backend (Redis, a database row) implements the same async interface.
+ */
+class MemoryCoordinator extends EventEmitter {
+  constructor() {
+    super();
+    this.entries = new Map();
+  }
+
+  async get(auctionId) {
+    const entry = this.entries.get(auctionId);
+    return entry ? clone(entry) : null;
+  }
+
+  async list() {
+    return Array.from(this.entries.values()).map(clone);
+  }
+
+  async compareAndSet(auctionId, expected, record) {
+    const current = this.entries.get(auctionId);
+    const version = current ? current.version : 0;
+
+    if (
+      version !== expected.version ||
+      (current && current.record.currentBid !== expected.currentBid)
+    ) {
+      return { ok: false, version };
+    }
+
+    const entry = { version: version + 1, record: clone(record) };
+    this.entries.set(auctionId, entry);
+
+    const published = clone(entry);
+    process.nextTick(() => this.emit('change', auctionId, published));
+
+    return { ok: true, version: entry.version };
+  }
+
+  subscribe(listener) {
+    this.on('change', listener);
+    return () => this.off('change', listener);
+  }
+}
+
+module.exports = MemoryCoordinator;
@@ -0,0 +1,37 @@
+const { EventEmitter } = require('events');
+const MemoryCoordinator = require('./MemoryCoordinator');
+const { MemoryAdapter, createMemoryAdapter } = require('./MemoryAdapter');
+
+function createCluster(driver = process.env.CLUSTER_DRIVER || 'none') {
+  switch (driver) {
+    case 'none':
+      return { coordinator: null, adapter: null };
+    case 'memory': {
+      const bus = new EventEmitter();
+      bus.setMaxListeners(0);
+      return {
+        coordinator: new MemoryCoordinator(),
+        adapter: createMemoryAdapter(bus),
+      };
+    }
+    default:
+      throw new Error(`Unknown CLUSTER_DRIVER "${driver}"`);
+  }
+}
+
+let defaultCluster = null;
+
+function getCluster() {
+  if (!defaultCluster) {
+    defaultCluster = createCluster();
+  }
+  return defaultCluster;
+}
+
+module.exports = {
+  createCluster,
+  getCluster,
+  MemoryCoordinator,
+  MemoryAdapter,
+  createMemoryAdapter,
+};
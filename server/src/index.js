@@ -1,129 +1,954 @@
 const express = require('express');
 const http = require('http');
+const path = require('path');
 const socketIO = require('socket.io');
 const cors = require('cors');
 const AuctionService = require('./services/AuctionService');
-const { initializeSocketHandlers } = require('./utils/socketHandlers');
-
-const app = express();
-const server = http.createServer(app);
-const io = socketIO(server, {
-  cors: {
-    origin: process.env.CLIENT_URL || 'http://localhost:3001',
-    methods: ['GET', 'POST'],
-    credentials: true,
-  },
-  transports: ['websocket'],
-});
+const AuctionScheduler = require('./services/AuctionScheduler');
+const PriceTicker = require('./services/PriceTicker');
+const UserService = require('./services/UserService');
+const ImageService = require('./services/ImageService');
+const WalletService = require('./services/WalletService');
+const {
+  requireAuth,
+  optionalAuth,
+  requireRole,
+  authenticateSocket,
+} = require('./middleware/auth');
+const {
+  rateLimit,
+  rejectBannedSocket,
+  limitSocketEvents,
+} = require('./middleware/rateLimit');
+const {
+  validateBody,
+  validateQuery,
+  validateParams,
+  validateSocketEvents,
+} = require('./middleware/validate');
+const {
+  credentials,
+  auctionInput,
+  eventsQuery,
+  itemsQuery,
+  extension,
+  moderationNote,
+  bidParams,
+  deposit,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_ITEMS_PAGE_SIZE,
+} = require('./schemas');
+const { initializeSocketHandlers, broadcastAuction } = require('./utils/socketHandlers');
+const { redactEvent } = require('./utils/auctionEvents');
+const { getStore } = require('./storage');
+const { getCluster } = require('./cluster');
+
+const CLIENT_BUILD = path.resolve(__dirname, '../../client/build');
 
-app.use(cors());
-app.use(express.json());
-app.use(express.static('../client/build'));
+const UPLOAD_FILE = /^\/[0-9a-f-]{36}(-thumb)?\.webp$/;
 
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', timestamp: Date.now() });
+const parseImage = express.raw({
+  type: ImageService.IMAGE_TYPES,
+  limit: ImageService.MAX_UPLOAD_BYTES,
 });
 
-app.get('/items', (req, res) => {
-  try {
-    const items = AuctionService.getAllAuctions();
+// Body parser errors (too large, aborted) as JSON like every other error.
+function imageBody(req, res, next) {
+  parseImage(req, res, (error) => {
+    if (!error) return next();
+
+    res.status(error.status || 400).json({
+      success: false,
+      message:
+        error.type === 'entity.too.large'
+          ? `Image must be at most ${ImageService.MAX_UPLOAD_BYTES / (1024 * 1024)} MB`
+          : 'Invalid upload',
+    });
+  });
+}
+
+/*
+ * Builds one server instance. Several can share a cluster coordinator and
+ * adapter, which is how multi-instance mode runs inside a single process.
+ */
+function createServer({ auctionService = AuctionService, adapter = getCluster().adapter } = {}) {
+  const app = express();
+  const server = http.createServer(app);
+  const io = socketIO(server, {
+    cors: {
+      origin: process.env.CLIENT_URL || 'http://localhost:3001',
+      methods: ['GET', 'POST'],
+      credentials: true,
+    },
+    transports: ['websocket'],
+    ...(adapter && { adapter }),
+  });
+
+  app.use(cors());
+  app.use(express.json());
+  app.use(express.static(CLIENT_BUILD));
+  // Only the images themselves; the metadata next to them stays private.
+  const serveUpload = express.static(ImageService.dir, {
+    index: false,
+    immutable: true,
+    maxAge: '30d',
+  });
+  app.use('/uploads', (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    if (!UPLOAD_FILE.test(req.path)) return res.status(404).end();
+    serveUpload(req, res, () => res.status(404).end());
+  });
+
+  app.get('/health', (req, res) => {
+    res.status(200).json({ status: 'ok', timestamp: Date.now() });
+  });
+
+  app.get('/metrics', (req, res) => {
     res.status(200).json({
       success: true,
-      data: items,
+      data: { bidQueues: auctionService.getQueueMetrics() },
       serverTime: Date.now(),
     });
-  } catch (error) {
-    console.error('Error fetching items:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch items',
-      error: error.message,
-    });
-  }
-});
+  });
 
-app.get('/items/:auctionId', (req, res) => {
-  try {
-    const { auctionId } = req.params;
-    const auction = AuctionService.getAuction(auctionId);
+  app.post('/auth/register', rateLimit('auth'), validateBody(credentials), (req, res) => {
+    const { username, password } = req.body;
+    const result = UserService.register(username, password);
 
-    if (!auction) {
-      return res.status(404).json({
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: 'Auction not found',
+        code: result.code,
+        message: result.message,
       });
     }
 
-    res.status(200).json({
+    res.status(result.statusCode).json({
       success: true,
-      data: auction,
-      serverTime: Date.now(),
+      data: { user: result.user, token: result.token },
     });
-  } catch (error) {
-    console.error('Error fetching auction:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch auction',
-      error: error.message,
+  });
+
+  app.post('/auth/login', rateLimit('auth'), validateBody(credentials), (req, res) => {
+    const { username, password } = req.body;
+    const result = UserService.login(username, password);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        code: result.code,
+        message: result.message,
+      });
+    }
+
+    res.status(result.statusCode).json({
+      success: true,
+      data: { user: result.user, token: result.token },
     });
-  }
-});
+  });
+
+  app.get('/auth/me', requireAuth, rateLimit('read'), (req, res) => {
+    res.status(200).json({ success: true, data: req.user });
+  });
+
+  app.get('/me/bids', requireAuth, rateLimit('read'), (req, res) => {
+    try {
+      res.status(200).json({
+        success: true,
+        data: auctionService.getUserBids(req.user.id),
+        serverTime: Date.now(),
+      });
+    } catch (error) {
+      console.error('Error fetching user bids:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch your bids',
+        error: error.message,
+      });
+    }
+  });
+
+  const watchedAuctions = (userId) =>
+    UserService.getWatchlist(userId)
+      .map((auctionId) => auctionService.getAuction(auctionId, userId))
+      .filter((auction) => auction && auction.status !== 'cancelled');
+
+  app.get('/me/watchlist', requireAuth, rateLimit('read'), (req, res) => {
+    try {
+      res.status(200).json({
+        success: true,
+        data: watchedAuctions(req.user.id),
+        serverTime: Date.now(),
+      });
+    } catch (error) {
+      console.error('Error fetching watchlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch watchlist',
+        error: error.message,
+      });
+    }
+  });
+
+  app.put('/me/watchlist/:auctionId', requireAuth, rateLimit('write'), (req, res) => {
+    try {
+      const { auctionId } = req.params;
+      const auction = auctionService.getAuction(auctionId);
+
+      if (!auction || auction.status === 'cancelled') {
+        return res.status(404).json({
+          success: false,
+          message: 'Auction not found',
+        });
+      }
+
+      const result = UserService.setWatching(req.user.id, auctionId, true);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          code: result.code,
+          message: result.message,
+        });
+      }
+
+      res.status(result.statusCode).json({ success: true, data: result.watchlist });
+    } catch (error) {
+      console.error('Error updating watchlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update watchlist',
+        error: error.message,
+      });
+    }
+  });
+
+  app.delete('/me/watchlist/:auctionId', requireAuth, rateLimit('write'), (req, res) => {
+    try {
+      const result = UserService.setWatching(req.user.id, req.params.auctionId, false);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          code: result.code,
+          message: result.message,
+        });
+      }
+
+      res.status(result.statusCode).json({ success: true, data: result.watchlist });
+    } catch (error) {
+      console.error('Error updating watchlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update watchlist',
+        error: error.message,
+      });
+    }
+  });
+
+  app.get('/me/wallet', requireAuth, rateLimit('read'), (req, res) => {
+    try {
+      res.status(200).json({ success: true, data: WalletService.getWallet(req.user.id) });
+    } catch (error) {
+      console.error('Error fetching wallet:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch wallet',
+        error: error.message,
+      });
+    }
+  });
+
+  app.post(
+    '/me/wallet/deposits',
+    requireAuth,
+    rateLimit('write'),
+    validateBody(deposit),
+    async (req, res) => {
+      try {
+        const { amount, currency, source } = req.body;
+        const result = await WalletService.deposit(req.user.id, amount, currency, source);
+
+        if (!result.success) {
+          return res.status(result.statusCode).json({
+            success: false,
+            code: result.code,
+            message: result.message,
+          });
+        }
+
+        res.status(result.statusCode).json({
+          success: true,
+          data: { deposit: result.entry, wallet: result.wallet },
+        });
+      } catch (error) {
+        console.error('Error making deposit:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to make deposit',
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  // Auctions name their leader by handle; a signed-in caller also learns
+  // whether the lead or the win is theirs.
+  app.get('/items', optionalAuth, rateLimit('read'), validateQuery(itemsQuery), (req, res) => {
+    try {
+      const query = { ...req.query, limit: req.query.limit || DEFAULT_ITEMS_PAGE_SIZE };
+      const { items, total, hasMore, nextCursor } = auctionService.searchAuctions(
+        query,
+        req.user?.id
+      );
+      res.status(200).json({
+        success: true,
+        data: items,
+        pagination: { limit: query.limit, total, hasMore, nextCursor },
+        serverTime: Date.now(),
+      });
+    } catch (error) {
+      console.error('Error fetching items:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch items',
+        error: error.message,
+      });
+    }
+  });
+
+  app.get('/items/:auctionId', optionalAuth, rateLimit('read'), (req, res) => {
+    try {
+      const { auctionId } = req.params;
+      const auction = auctionService.getAuction(auctionId, req.user?.id);
+
+      if (!auction) {
+        return res.status(404).json({
+          success: false,
+          message: 'Auction not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: auction,
+        serverTime: Date.now(),
+      });
+    } catch (error) {
+      console.error('Error fetching auction:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch auction',
+        error: error.message,
+      });
+    }
+  });
+
+  // The request body is the image itself, sent with its own Content-Type.
+  app.post('/uploads', requireAuth, rateLimit('upload'), imageBody, async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(415).json({
+        success: false,
+        message: `Upload an image (${ImageService.IMAGE_TYPES.join(', ')})`,
+      });
+    }
+
+    try {
+      const result = await ImageService.upload(req.body, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message,
+        });
+      }
+
+      res.status(result.statusCode).json({
+        success: true,
+        data: result.image,
+      });
+    } catch (error) {
+      console.error('Error uploading image:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload image',
+        error: error.message,
+      });
+    }
+  });
+
+  app.post('/items', requireAuth, rateLimit('write'), validateBody(auctionInput), async (req, res) => {
+    try {
+      const result = await auctionService.createAuction(req.body, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          code: result.code,
+          message: result.message,
+        });
+      }
+
+      io.emit('AUCTION_CREATED', {
+        auction: result.auction,
+        serverTime: Date.now(),
+      });
+
+      res.status(result.statusCode).json({
+        success: true,
+        data: result.auction,
+        serverTime: Date.now(),
+      });
+    } catch (error) {
+      console.error('Error creating auction:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create auction',
+        error: error.message,
+      });
+    }
+  });
 
-app.get('/items/:auctionId/bid-history', (req, res) => {
-  try {
-    const { auctionId } = req.params;
-    const history = AuctionService.getBidHistory(auctionId);
+  app.patch(
+    '/items/:auctionId',
+    requireAuth,
+    rateLimit('write'),
+    validateBody(auctionInput, { partial: true }),
+    async (req, res) => {
+      try {
+        const { auctionId } = req.params;
+        const result = await auctionService.updateAuction(
+          auctionId,
+          req.body,
+          req.user.id
+        );
 
-    if (history === null) {
+        if (!result.success) {
+          return res.status(result.statusCode).json({
+            success: false,
+            code: result.code,
+            message: result.message,
+          });
+        }
+
+        broadcastAuction(
+          io,
+          'AUCTION_UPDATED',
+          auctionId,
+          (auction) => ({ auction, serverTime: Date.now() }),
+          auctionService
+        );
+
+        res.status(result.statusCode).json({
+          success: true,
+          data: result.auction,
+          serverTime: Date.now(),
+        });
+      } catch (error) {
+        console.error('Error updating auction:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to update auction',
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  app.delete('/items/:auctionId', requireAuth, rateLimit('write'), async (req, res) => {
+    try {
+      const { auctionId } = req.params;
+      const result = await auctionService.cancelAuction(auctionId, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          code: result.code,
+          message: result.message,
+        });
+      }
+
+      io.emit('AUCTION_CANCELLED', {
+        auctionId,
+        serverTime: Date.now(),
+      });
+
+      res.status(result.statusCode).json({
+        success: true,
+        data: result.auction,
+        serverTime: Date.now(),
+      });
+    } catch (error) {
+      console.error('Error cancelling auction:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel auction',
+        error: error.message,
+      });
+    }
+  });
+
+  // Bidders appear by per-auction handle; a signed-in caller's own bids are
+  // marked `mine`.
+  app.get('/items/:auctionId/bid-history', optionalAuth, rateLimit('read'), (req, res) => {
+    try {
+      const { auctionId } = req.params;
+      const history = auctionService.getPublicBidHistory(auctionId, req.user?.id);
+
+      if (history === null) {
+        return res.status(404).json({
+          success: false,
+          message: 'Auction not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: history,
+        serverTime: Date.now(),
+      });
+    } catch (error) {
+      console.error('Error fetching bid history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch bid history',
+        error: error.message,
+      });
+    }
+  });
+
+  // Event logs show rejected bids, so only the seller and admins may read
+  // them. Sellers get them without maximum bids (see redactEvent).
+  const authorizeAudit = (req, res, next) => {
+    const auction = auctionService.getAuction(req.params.auctionId);
+
+    if (!auction) {
       return res.status(404).json({
         success: false,
         message: 'Auction not found',
       });
     }
 
-    res.status(200).json({
-      success: true,
-      data: history,
-      serverTime: Date.now(),
-    });
-  } catch (error) {
-    console.error('Error fetching bid history:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch bid history',
-      error: error.message,
-    });
-  }
-});
+    if (auction.sellerId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the seller can view the event log',
+      });
+    }
 
-app.get('*', (req, res) => {
-  res.sendFile('../client/build/index.html', { root: __dirname });
-});
+    next();
+  };
 
-io.on('connection', (socket) => {
-  initializeSocketHandlers(io, socket);
-});
+  app.get(
+    '/items/:auctionId/events',
+    requireAuth,
+    rateLimit('read'),
+    authorizeAudit,
+    validateQuery(eventsQuery),
+    (req, res) => {
+      try {
+        const { auctionId } = req.params;
+        const { after = 0, limit = DEFAULT_PAGE_SIZE } = req.query;
+        const events = auctionService.getEvents(auctionId, { after, limit: limit + 1 });
+        const page = events.slice(0, limit);
+        const hasMore = events.length > limit;
+
+        res.status(200).json({
+          success: true,
+          data: req.user.role === 'admin' ? page : page.map(redactEvent),
+          pagination: {
+            after,
+            limit,
+            hasMore,
+            nextAfter: hasMore ? page[page.length - 1].seq : null,
+          },
+          serverTime: Date.now(),
+        });
+      } catch (error) {
+        console.error('Error fetching events:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to fetch events',
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  app.get(
+    '/items/:auctionId/events/replay',
+    requireAuth,
+    rateLimit('read'),
+    authorizeAudit,
+    (req, res) => {
+      try {
+        const result = auctionService.verifyReplay(req.params.auctionId);
+
+        if (!result) {
+          return res.status(404).json({
+            success: false,
+            message: 'No event log for this auction',
+          });
+        }
+
+        res.status(200).json({
+          success: true,
+          data: result,
+          serverTime: Date.now(),
+        });
+      } catch (error) {
+        console.error('Error replaying events:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to replay events',
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  const watcherCount = (auctionId) =>
+    io.sockets.adapter.rooms.get(`auction:${auctionId}`)?.size || 0;
+
+  app.get('/admin/auctions', requireAuth, requireRole('admin'), rateLimit('read'), (req, res) => {
+    try {
+      const items = auctionService
+        .getAllAuctions({ includeCancelled: true })
+        .map((auction) => ({ ...auction, watchers: watcherCount(auction.id) }));
+
+      res.status(200).json({
+        success: true,
+        data: items,
+        serverTime: Date.now(),
+      });
+    } catch (error) {
+      console.error('Error fetching admin auctions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch auctions',
+        error: error.message,
+      });
+    }
+  });
+
+  app.get(
+    '/admin/auctions/:auctionId/bids',
+    requireAuth,
+    requireRole('admin'),
+    rateLimit('read'),
+    (req, res) => {
+      try {
+        const { auctionId } = req.params;
+        if (!auctionService.getAuction(auctionId)) {
+          return res.status(404).json({
+            success: false,
+            message: 'Auction not found',
+          });
+        }
+
+        const history = auctionService.getBidHistory(auctionId);
+        const voided = new Set(
+          history.filter((entry) => entry.type === 'void').map((entry) => entry.bidIndex)
+        );
+        const bids = history
+          .map((entry, index) => ({ ...entry, index }))
+          .filter((entry) => entry.type === 'bid')
+          .map((entry) => {
+            const bidder = UserService.getUser(entry.userId);
+            return {
+              ...entry,
+              username: bidder?.username ?? null,
+              bidderBanned: Boolean(bidder?.banned),
+              voided: voided.has(entry.index),
+            };
+          });
+
+        res.status(200).json({
+          success: true,
+          data: bids,
+          serverTime: Date.now(),
+        });
+      } catch (error) {
+        console.error('Error fetching admin bids:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to fetch bids',
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  // Moderation routes answer alike and announce the new state to every
+  // client, tagged with the action so the change can be explained.
+  const moderate = (type, failureMessage, run) => async (req, res) => {
+    try {
+      const result = await run(req);
 
-const PORT = process.env.PORT || 3001;
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          code: result.code,
+          message: result.message,
+        });
+      }
 
-server.listen(PORT, () => {
-  console.log(`
+      const action = {
+        type,
+        by: req.user.id,
+        reason: req.body?.reason ?? null,
+        timestamp: Date.now(),
+      };
+
+      if (type === 'cancelled') {
+        io.emit('AUCTION_CANCELLED', {
+          auctionId: result.auction.id,
+          action,
+          serverTime: Date.now(),
+        });
+      } else {
+        broadcastAuction(
+          io,
+          'AUCTION_UPDATED',
+          result.auction.id,
+          (auction) => ({ auction, action, serverTime: Date.now() }),
+          auctionService
+        );
+      }
+
+      // Voiding an automatic bid drops the maximum that placed it.
+      if (result.droppedMaxBid) {
+        io.to(`user:${result.droppedMaxBid}`).emit('MAX_BID_UPDATE', {
+          auctionId: result.auction.id,
+          maxAmount: null,
+        });
+      }
+
+      console.log(`[Admin] ${req.user.username} ${type} auction ${result.auction.id}`);
+
+      res.status(result.statusCode).json({
+        success: true,
+        data: result.auction,
+        serverTime: Date.now(),
+      });
+    } catch (error) {
+      console.error(`Error moderating auction (${type}):`, error);
+      res.status(500).json({
+        success: false,
+        message: failureMessage,
+        error: error.message,
+      });
+    }
+  };
+
+  const adminWrite = [requireAuth, requireRole('admin'), rateLimit('write')];
+
+  app.post(
+    '/admin/auctions/:auctionId/pause',
+    ...adminWrite,
+    moderate('paused', 'Failed to pause auction', (req) =>
+      auctionService.pauseAuction(req.params.auctionId, req.user.id)
+    )
+  );
+
+  app.post(
+    '/admin/auctions/:auctionId/resume',
+    ...adminWrite,
+    moderate('resumed', 'Failed to resume auction', (req) =>
+      auctionService.resumeAuction(req.params.auctionId, req.user.id)
+    )
+  );
+
+  app.post(
+    '/admin/auctions/:auctionId/extend',
+    ...adminWrite,
+    validateBody(extension),
+    moderate('extended', 'Failed to extend auction', (req) =>
+      auctionService.extendAuction(req.params.auctionId, req.user.id, req.body.duration)
+    )
+  );
+
+  app.post(
+    '/admin/auctions/:auctionId/cancel',
+    ...adminWrite,
+    validateBody(moderationNote),
+    moderate('cancelled', 'Failed to cancel auction', (req) =>
+      auctionService.cancelAuction(req.params.auctionId, req.user.id, { admin: true })
+    )
+  );
+
+  app.post(
+    '/admin/auctions/:auctionId/bids/:bidIndex/void',
+    ...adminWrite,
+    validateParams(bidParams),
+    validateBody(moderationNote),
+    moderate('bid_voided', 'Failed to void bid', (req) =>
+      auctionService.voidBid(
+        req.params.auctionId,
+        req.user.id,
+        req.params.bidIndex,
+        req.body.reason ?? null
+      )
+    )
+  );
+
+  app.post(
+    '/admin/users/:userId/ban',
+    ...adminWrite,
+    validateBody(moderationNote),
+    async (req, res) => {
+      try {
+        const { userId } = req.params;
+        const reason = req.body.reason ?? null;
+        const result = await auctionService.banUser(userId, req.user.id, reason);
+
+        if (!result.success) {
+          return res.status(result.statusCode).json({
+            success: false,
+            code: result.code,
+            message: result.message,
+          });
+        }
+
+        const notice = { userId, banned: true, reason, timestamp: Date.now() };
+        io.to(`user:${userId}`).to('admins').emit('USER_BANNED', notice);
+        result.cancelledMaxBids.forEach((auctionId) => {
+          io.to(`user:${userId}`).emit('MAX_BID_UPDATE', { auctionId, maxAmount: null });
+        });
+
+        console.log(`[Admin] ${req.user.username} banned user ${userId}`);
+
+        res.status(result.statusCode).json({
+          success: true,
+          data: { user: result.user, cancelledMaxBids: result.cancelledMaxBids },
+        });
+      } catch (error) {
+        console.error('Error banning user:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to ban user',
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  app.delete('/admin/users/:userId/ban', ...adminWrite, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const result = await auctionService.unbanUser(userId, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          code: result.code,
+          message: result.message,
+        });
+      }
+
+      io.to(`user:${userId}`).to('admins').emit('USER_UNBANNED', {
+        userId,
+        banned: false,
+        timestamp: Date.now(),
+      });
+
+      console.log(`[Admin] ${req.user.username} unbanned user ${userId}`);
+
+      res.status(result.statusCode).json({
+        success: true,
+        data: { user: result.user },
+      });
+    } catch (error) {
+      console.error('Error unbanning user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unban user',
+        error: error.message,
+      });
+    }
+  });
+
+  // Client-side routes such as /auction/:id load the app, which routes
+  // itself.
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(CLIENT_BUILD, 'index.html'));
+  });
+
+  const scheduler = new AuctionScheduler(auctionService, io);
+  const ticker = new PriceTicker(auctionService, io);
+
+  io.use(authenticateSocket);
+  io.use(rejectBannedSocket);
+
+  io.on('connection', (socket) => {
+    limitSocketEvents(io, socket);
+    validateSocketEvents(socket);
+    initializeSocketHandlers(io, socket, auctionService);
+  });
+
+  return { app, server, io, scheduler, ticker, auctionService };
+}
+
+const PORT = Number(process.env.PORT) || 3001;
+const INSTANCES = Number(process.env.CLUSTER_INSTANCES) || 1;
+
+function start() {
+  if (INSTANCES > 1 && !getCluster().coordinator) {
+    throw new Error('CLUSTER_INSTANCES > 1 requires a CLUSTER_DRIVER');
+  }
+
+  const instances = Array.from({ length: INSTANCES }, (_, index) =>
+    createServer({
+      auctionService:
+        index === 0
+          ? AuctionService
+          : new AuctionService.AuctionService(getStore(), getCluster().coordinator),
+    })
+  );
+
+  instances.forEach(({ server, scheduler, ticker, auctionService }, index) => {
+    const port = PORT + index;
+
+    auctionService.ready.then(() => {
+      server.listen(port, () => {
+        scheduler.start();
+        ticker.start();
+        console.log(`
 ╔════════════════════════════════════════╗
 ║   AuctionMania Server Started 🚀       ║
 ╠════════════════════════════════════════╣
-║   HTTP: http://localhost:${PORT}        ║
-║   WebSocket: ws://localhost:${PORT}     ║
+║   HTTP: http://localhost:${port}        ║
+║   WebSocket: ws://localhost:${port}     ║
 ║   CORS: ${process.env.CLIENT_URL || 'http://localhost:3001'}
 ╚════════════════════════════════════════╝
-  `);
-});
+      `);
+      });
+    });
+  });
+
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, shutting down gracefully...');
+    let open = instances.length;
 
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
+    instances.forEach(({ io, scheduler, ticker }) => {
+      scheduler.stop();
+      ticker.stop();
+      io.close(() => {
+        open -= 1;
+        if (open > 0) return;
+
+        AuctionService.close();
+        console.log('Server closed');
+        process.exit(0);
+      });
+    });
   });
-});
 
-module.exports = { app, server, io };
+  return instances;
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { createServer, start };
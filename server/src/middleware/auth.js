@@ -0,0 +1,57 @@
+const UserService = require('../services/UserService');
+
+function extractBearerToken(header) {
+  if (typeof header !== 'string') return null;
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+function requireAuth(req, res, next) {
+  const user = UserService.verifyToken(
+    extractBearerToken(req.headers.authorization)
+  );
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+    });
+  }
+
+  req.user = user;
+  next();
+}
+
+// For public routes that show signed-in users a little more; a missing or
+// invalid token just means an anonymous request.
+function optionalAuth(req, res, next) {
+  req.user = UserService.verifyToken(extractBearerToken(req.headers.authorization)) || null;
+  next();
+}
+
+// Runs after requireAuth, which has already put the profile on the request.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.user.role !== role) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do that',
+      });
+    }
+
+    next();
+  };
+}
+
+function authenticateSocket(socket, next) {
+  const user = UserService.verifyToken(socket.handshake.auth?.token);
+
+  if (!user) {
+    return next(new Error('Unauthorized'));
+  }
+
+  socket.data.user = user;
+  next();
+}
+
+module.exports = { requireAuth, optionalAuth, requireRole, authenticateSocket };
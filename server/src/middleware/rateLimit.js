@@ -0,0 +1,120 @@
+const RateLimiter = require('../services/RateLimiter');
+
+const RATE_LIMITED_MESSAGE = 'Too many requests, please slow down';
+
+const BANNED_MESSAGE = 'Too many requests, you have been blocked for a while';
+
+// Ban keys have the same `kind:value` form as the rooms that hold every
+// socket of a user or an IP, so these are also the rooms to disconnect.
+function bannedRooms(callers) {
+  return Object.entries(callers)
+    .filter(([kind, value]) => value != null && RateLimiter.banRemaining({ [kind]: value }) > 0)
+    .map(([kind, value]) => `${kind}:${value}`);
+}
+
+/*
+ * Requests over the limit count towards a ban of both the user and the IP,
+ * and a banned caller is turned away before spending any tokens.
+ */
+function rateLimit(scope) {
+  return (req, res, next) => {
+    const callers = { user: req.user?.id, ip: req.ip };
+    let retryAfter = RateLimiter.banRemaining(callers);
+    let message = BANNED_MESSAGE;
+
+    if (!retryAfter) {
+      const result = RateLimiter.consume(scope, callers);
+      if (result.allowed) {
+        return next();
+      }
+
+      const banned = RateLimiter.recordViolation(callers);
+      retryAfter = banned || result.retryAfter;
+      message = banned ? BANNED_MESSAGE : RATE_LIMITED_MESSAGE;
+    }
+
+    res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+    res.status(429).json({
+      success: false,
+      code: 'RATE_LIMITED',
+      message,
+      retryAfter,
+    });
+  };
+}
+
+function rejectBannedSocket(socket, next) {
+  const remaining = RateLimiter.banRemaining({
+    user: socket.data.user.id,
+    ip: socket.handshake.address,
+  });
+
+  if (remaining > 0) {
+    const error = new Error('Rate limited');
+    error.data = { code: 'RATE_LIMITED', retryAfter: remaining };
+    return next(error);
+  }
+
+  next();
+}
+
+/*
+ * Checks every incoming event against the caller's buckets before any
+ * handler sees it. Events that expect an acknowledgement get the rejection
+ * there; the rest get a RATE_LIMITED event. Once a user or an IP has been
+ * turned away often enough, over HTTP or here, all of its sockets are
+ * disconnected until the ban ends.
+ */
+function limitSocketEvents(io, socket) {
+  const { id: userId } = socket.data.user;
+  const callers = { user: userId, ip: socket.handshake.address };
+  socket.join(`ip:${callers.ip}`);
+
+  socket.use(([event, ...args], next) => {
+    let banned = RateLimiter.banRemaining(callers);
+    let retryAfter = banned;
+
+    if (!banned) {
+      const result = RateLimiter.consume(event, callers, 'socket');
+      if (result.allowed) {
+        return next();
+      }
+
+      banned = RateLimiter.recordViolation(callers);
+      retryAfter = banned || result.retryAfter;
+    }
+
+    const rejection = {
+      code: 'RATE_LIMITED',
+      event,
+      message: banned
+        ? 'Too many requests, you have been disconnected for a while'
+        : RATE_LIMITED_MESSAGE,
+      retryAfter,
+      disconnected: Boolean(banned),
+      timestamp: Date.now(),
+    };
+
+    const ack = args[args.length - 1];
+    if (typeof ack === 'function') {
+      const data = args[0] && typeof args[0] === 'object' ? args[0] : {};
+      ack({
+        bidId: data.bidId,
+        auctionId: data.auctionId,
+        status: 'rejected',
+        ...rejection,
+      });
+    } else {
+      socket.emit('RATE_LIMITED', rejection);
+    }
+
+    if (banned) {
+      const rooms = bannedRooms(callers);
+      console.log(`[RateLimit] Disconnecting ${rooms.join(', ')} for ${retryAfter}ms`);
+      io.to(rooms).emit('RATE_LIMITED', rejection);
+      io.in(rooms).disconnectSockets(true);
+    }
+  });
+}
+
+module.exports = { rateLimit, rejectBannedSocket, limitSocketEvents };
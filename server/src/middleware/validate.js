@@ -0,0 +1,66 @@
+const { validate, CLIENT_EVENTS } = require('../schemas');
+
+function validateRequest(part, schema, options) {
+  return (req, res, next) => {
+    const { valid, value, errors } = validate(schema, req[part], options);
+
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_PAYLOAD',
+        message: errors.join(', '),
+        errors,
+      });
+    }
+
+    req[part] = value;
+    next();
+  };
+}
+
+const validateBody = (schema, options) => validateRequest('body', schema, options);
+
+const validateQuery = (schema, options) => validateRequest('query', schema, options);
+
+const validateParams = (schema, options) => validateRequest('params', schema, options);
+
+/*
+ * Checks every incoming event against its schema and hands handlers the
+ * normalized payload. Rejections go to the acknowledgement when there is
+ * one, otherwise to an INVALID_PAYLOAD event.
+ */
+function validateSocketEvents(socket) {
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const schema = CLIENT_EVENTS[event];
+
+    const { valid, value, errors } = schema
+      ? validate(schema, args[0])
+      : { valid: false, errors: [`Unknown event ${event}`] };
+
+    if (valid) {
+      packet[1] = value;
+      if (ack) packet[2] = ack;
+      return next();
+    }
+
+    const data = args[0] && typeof args[0] === 'object' ? args[0] : {};
+    const rejection = {
+      code: schema ? 'INVALID_PAYLOAD' : 'UNKNOWN_EVENT',
+      event,
+      auctionId: typeof data.auctionId === 'string' ? data.auctionId : undefined,
+      message: errors.join(', '),
+      errors,
+      timestamp: Date.now(),
+    };
+
+    if (ack) {
+      ack({ bidId: data.bidId, status: 'rejected', ...rejection });
+    } else {
+      socket.emit('INVALID_PAYLOAD', rejection);
+    }
+  });
+}
+
+module.exports = { validateBody, validateQuery, validateParams, validateSocketEvents };
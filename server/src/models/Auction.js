@@ -1,103 +1,933 @@
+const {
+  flatIncrementTable,
+  scaleIncrementTable,
+  incrementTableFor,
+  getIncrement,
+} = require('../utils/bidIncrements');
+const { DEFAULT_CURRENCY, minorUnitFactor, formatMoney } = require('../utils/money');
+const { replayEvents } = require('../utils/auctionEvents');
+const { imageUrls } = require('../utils/images');
+
+const STATUS = {
+  SCHEDULED: 'scheduled',
+  LIVE: 'live',
+  PAUSED: 'paused',
+  CLOSING: 'closing',
+  CLOSED: 'closed',
+  CANCELLED: 'cancelled',
+};
+
+// Journals written before amounts moved to minor units have no currency and
+// hold dollar amounts.
+const LEGACY_CURRENCY = 'USD';
+
+function upgradeLegacyRecord(record) {
+  if (record.currency) {
+    return record;
+  }
+
+  const factor = minorUnitFactor(LEGACY_CURRENCY);
+  const convert = (amount) => (amount == null ? amount : Math.round(amount * factor));
+
+  return {
+    ...record,
+    currency: LEGACY_CURRENCY,
+    startingPrice: convert(record.startingPrice),
+    currentBid: convert(record.currentBid),
+    minBidIncrement: convert(record.minBidIncrement),
+    finalPrice: convert(record.finalPrice),
+    reservePrice: convert(record.reservePrice),
+    buyNowPrice: convert(record.buyNowPrice),
+    incrementTable:
+      record.incrementTable && scaleIncrementTable(record.incrementTable, factor),
+    proxyBids: (record.proxyBids || []).map((proxy) => ({
+      ...proxy,
+      maxAmount: convert(proxy.maxAmount),
+    })),
+    bidHistory: (record.bidHistory || []).map((entry) =>
+      entry.amount === undefined ? entry : { ...entry, amount: convert(entry.amount) }
+    ),
+  };
+}
+
 class Auction {
-  constructor(id, title, startingPrice, duration) {
+  constructor(id, title, startingPrice, duration, options = {}) {
     this.id = id;
     this.title = title;
+    this.description = options.description || '';
+    this.sellerId = options.sellerId || null;
+    this.currency = options.currency || DEFAULT_CURRENCY;
     this.startingPrice = startingPrice;
     this.currentBid = startingPrice;
     this.highestBidder = null;
-    this.endTime = Date.now() + duration;
-    this.biddingLock = false;
+    this.startTime = options.startTime || Date.now();
+    this.endTime = this.startTime + duration;
+    this.status = this.startTime > Date.now() ? STATUS.SCHEDULED : STATUS.LIVE;
+    this.closedAt = null;
+    this.winner = null;
+    this.finalPrice = null;
     this.bidHistory = [];
-    this.minBidIncrement = 10; 
+    this.category = options.category || null;
+    this.condition = options.condition || null;
+    // Image ids, in display order; the first is the cover.
+    this.images = options.images || [];
+    this.incrementTable =
+      options.incrementTable ||
+      (options.minBidIncrement ? flatIncrementTable(options.minBidIncrement) : null);
+    this.softClose = options.softClose || null;
+    this.totalExtension = 0;
+    this.proxyBids = new Map();
+    this.reservePrice = options.reservePrice ?? null;
+    this.buyNowPrice = options.buyNowPrice ?? null;
+    this.sold = false;
+    this.pausedRemaining = null;
   }
 
- 
   isActive() {
-    return Date.now() < this.endTime;
+    return this.status === STATUS.LIVE && Date.now() < this.endTime;
+  }
+
+  isFinal() {
+    return this.status === STATUS.CLOSED || this.status === STATUS.CANCELLED;
+  }
+
+  isEditable() {
+    return (
+      (this.status === STATUS.SCHEDULED || this.status === STATUS.LIVE) &&
+      this.bidHistory.length === 0 &&
+      Date.now() < this.endTime
+    );
   }
 
   getTimeRemaining() {
+    if (this.status === STATUS.PAUSED) {
+      return this.pausedRemaining;
+    }
     return Math.max(0, this.endTime - Date.now());
   }
 
+  hasEnded(now = Date.now()) {
+    return this.isFinal() || (this.status !== STATUS.PAUSED && now >= this.endTime);
+  }
+
+  getIncrementTable() {
+    return this.incrementTable || incrementTableFor(this.category, this.currency);
+  }
+
+  getIncrement(price = this.currentBid) {
+    return getIncrement(this.getIncrementTable(), price);
+  }
+
   getMinimumNextBid() {
-    return this.currentBid + this.minBidIncrement;
+    return this.currentBid + this.getIncrement();
+  }
+
+  format(amount) {
+    return formatMoney(amount, this.currency);
+  }
+
+  isReserveMet() {
+    if (!this.highestBidder) return false;
+    return this.reservePrice == null || this.currentBid >= this.reservePrice;
+  }
+
+  isBuyNowAvailable() {
+    return this.buyNowPrice != null && this.currentBid < this.buyNowPrice;
+  }
+
+  coversBuyNow(bidAmount) {
+    return this.isBuyNowAvailable() && bidAmount >= this.buyNowPrice;
+  }
+
+  update(fields) {
+    const duration = fields.duration ?? this.endTime - this.startTime;
+
+    if (fields.title !== undefined) this.title = fields.title;
+    if (fields.description !== undefined) this.description = fields.description;
+    if (fields.startingPrice !== undefined) {
+      this.startingPrice = fields.startingPrice;
+      this.currentBid = fields.startingPrice;
+    }
+    if (fields.category !== undefined) this.category = fields.category;
+    if (fields.condition !== undefined) this.condition = fields.condition;
+    if (fields.images !== undefined) this.images = fields.images;
+    if (fields.currency !== undefined) this.currency = fields.currency;
+    if (fields.minBidIncrement !== undefined) {
+      this.incrementTable = flatIncrementTable(fields.minBidIncrement);
+    }
+    if (fields.incrementTable !== undefined) {
+      this.incrementTable = fields.incrementTable;
+    }
+    if (fields.startTime !== undefined) this.startTime = fields.startTime;
+    if (fields.softClose !== undefined) this.softClose = fields.softClose;
+    if (fields.reservePrice !== undefined) this.reservePrice = fields.reservePrice;
+    if (fields.buyNowPrice !== undefined) this.buyNowPrice = fields.buyNowPrice;
+
+    this.endTime = this.startTime + duration;
+    this.status = Date.now() < this.startTime ? STATUS.SCHEDULED : STATUS.LIVE;
+  }
+
+  cancel() {
+    this.status = STATUS.CANCELLED;
+    this.closedAt = Date.now();
+  }
+
+  // A paused auction keeps its remaining time and gets it back on resume.
+  pause(now = Date.now()) {
+    if (this.status !== STATUS.LIVE || now >= this.endTime) {
+      return { success: false, message: 'Only a live auction can be paused', statusCode: 409 };
+    }
+
+    this.status = STATUS.PAUSED;
+    this.pausedRemaining = this.endTime - now;
+    return { success: true };
+  }
+
+  resume(now = Date.now()) {
+    if (this.status !== STATUS.PAUSED) {
+      return { success: false, message: 'Auction is not paused', statusCode: 409 };
+    }
+
+    this.status = STATUS.LIVE;
+    this.endTime = now + this.pausedRemaining;
+    this.pausedRemaining = null;
+    return { success: true };
+  }
+
+  extend(duration, now = Date.now()) {
+    if (this.hasEnded(now)) {
+      return { success: false, message: 'Auction has already ended', statusCode: 409 };
+    }
+
+    if (this.status === STATUS.PAUSED) {
+      this.pausedRemaining += duration;
+    }
+    this.endTime += duration;
+    return { success: true };
+  }
+
+  voidedBidIndexes() {
+    return new Set(
+      this.bidHistory.filter((entry) => entry.type === 'void').map((entry) => entry.bidIndex)
+    );
+  }
+
+  isVoided(index) {
+    return this.voidedBidIndexes().has(index);
+  }
+
+  // Bids that still count, oldest first, with their position in the history.
+  standingBids() {
+    const voided = this.voidedBidIndexes();
+    return this.bidHistory
+      .map((entry, index) => ({ ...entry, index }))
+      .filter((entry) => entry.type === 'bid' && !voided.has(entry.index));
+  }
+
+  // "Bidder 1", "Bidder 2"… in the order users first bid here: stable for
+  // the life of the auction. Clients only ever get these, never user ids,
+  // so a handle cannot be tied to an account or to another auction.
+  bidderHandles() {
+    const handles = new Map();
+    this.bidHistory.forEach((entry) => {
+      if (entry.type === 'bid' && !handles.has(entry.userId)) {
+        handles.set(entry.userId, `Bidder ${handles.size + 1}`);
+      }
+    });
+    return handles;
+  }
+
+  /*
+   * Bids from position `from` on, as anyone may see them: the bidder's
+   * handle instead of their id, and whether an admin voided the bid.
+   * `viewerId` marks that user's own bids.
+   */
+  publicBidHistory({ from = 0, viewerId = null } = {}) {
+    const handles = this.bidderHandles();
+    const voided = this.voidedBidIndexes();
+
+    return this.bidHistory
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ entry, index }) => entry.type === 'bid' && index >= from)
+      .map(({ entry, index }) => ({
+        index,
+        amount: entry.amount,
+        bidder: handles.get(entry.userId),
+        timestamp: entry.timestamp,
+        auto: Boolean(entry.auto),
+        buyNow: Boolean(entry.buyNow),
+        voided: voided.has(index),
+        ...(viewerId && { mine: entry.userId === viewerId }),
+      }));
+  }
+
+  /*
+   * Where one user stands: their best standing bid, their maximum and
+   * whether they are winning, losing, won or lost. Null if they have neither
+   * a bid nor a maximum here.
+   */
+  getBidderSummary(userId) {
+    const myBid = this.standingBids()
+      .filter((entry) => entry.userId === userId)
+      .reduce((best, entry) => Math.max(best ?? 0, entry.amount), null);
+    const maxBid = this.getProxyBid(userId);
+
+    if (myBid === null && maxBid === null) {
+      return null;
+    }
+
+    const status =
+      this.status === STATUS.CLOSED
+        ? this.winner === userId
+          ? 'won'
+          : 'lost'
+        : this.highestBidder === userId
+        ? 'winning'
+        : 'losing';
+
+    return { myBid, maxBid, status };
+  }
+
+  bidderIds() {
+    const ids = new Set(this.proxyBids.keys());
+    this.bidHistory.forEach((entry) => {
+      if (entry.type === 'bid') ids.add(entry.userId);
+    });
+    return ids;
+  }
+
+  /*
+   * Voids the bid at `index` in the history. The bid stays in the history
+   * with a `void` entry after it, and the auction is settled again as if it
+   * had never been placed:
+   *
+   * - The price falls back to the latest standing bid that was placed by
+   *   hand, or automatically by a maximum that has since gone, skipping any
+   *   whose bidder can no longer pay it (`funds`, as for placeBid).
+   * - Registered maximums then bid again from there, so an automatic bid
+   *   that was only raised to beat the voided one comes back down.
+   *
+   * Bids left above the new price are voided too, with `cause` pointing at
+   * the bid that was. A voided automatic bid takes the maximum that placed
+   * it with it, or it would simply be placed again.
+   */
+  voidBid(index, voidedBy, reason = null, funds = null, now = Date.now()) {
+    const entry = this.bidHistory[index];
+    if (!entry || entry.type !== 'bid') {
+      return { success: false, message: 'Bid not found', statusCode: 404 };
+    }
+
+    if (this.isVoided(index)) {
+      return { success: false, message: 'Bid has already been voided', statusCode: 409 };
+    }
+
+    if (this.hasEnded(now)) {
+      return { success: false, message: 'Auction has already ended', statusCode: 409 };
+    }
+
+    const previousBid = this.currentBid;
+    const previousBidder = this.highestBidder;
+    this.bidHistory.push({ type: 'void', bidIndex: index, voidedBy, reason, timestamp: now });
+
+    const droppedMaxBid = entry.auto && this.proxyBids.delete(entry.userId) ? entry.userId : null;
+
+    const base = this.standingBids()
+      .filter((bid) => !bid.auto || !this.proxyBids.has(bid.userId))
+      .filter((bid) => !funds || funds(bid.userId) >= bid.amount)
+      .pop();
+    this.currentBid = base ? base.amount : this.startingPrice;
+    this.highestBidder = base ? base.userId : null;
+
+    const { entries } = this.resolveProxyBids(now, base ? base.timestamp : now, funds);
+
+    // Bids above the new price no longer stand either; they are voided along
+    // with the one that caused them.
+    const standing = this.standingBids();
+    standing
+      .filter((bid) => bid.amount > this.currentBid)
+      .forEach((bid) => {
+        this.bidHistory.push({
+          type: 'void',
+          bidIndex: bid.index,
+          voidedBy,
+          reason,
+          cause: index,
+          timestamp: now,
+        });
+      });
+
+    // Settling again often lands on an automatic bid that still stands; it
+    // is not placed a second time.
+    const stands = standing.some(
+      (bid) => bid.userId === this.highestBidder && bid.amount === this.currentBid
+    );
+    if (!stands) {
+      this.bidHistory.push(...entries);
+    }
+
+    return {
+      success: true,
+      voided: entry,
+      previousBid,
+      previousBidder,
+      newBid: this.currentBid,
+      highestBidder: this.highestBidder,
+      droppedMaxBid,
+    };
   }
 
-  placeBid(userId, bidAmount) {
+  hasPendingTransition(now = Date.now()) {
+    return (
+      (this.status === STATUS.SCHEDULED && now >= this.startTime) ||
+      ((this.status === STATUS.LIVE || this.status === STATUS.CLOSING) &&
+        now >= this.endTime)
+    );
+  }
+
+  /*
+   * Moves the auction through scheduled → live → closing → closed and returns
+   * the states entered. AuctionService runs this through the auction's
+   * command queue, so it never lands in the middle of a bid.
+   */
+  advance(now = Date.now()) {
+    const transitions = [];
+
+    if (this.status === STATUS.SCHEDULED && now >= this.startTime) {
+      this.status = STATUS.LIVE;
+      transitions.push(STATUS.LIVE);
+    }
+
+    if (this.status === STATUS.LIVE && now >= this.endTime) {
+      this.status = STATUS.CLOSING;
+      transitions.push(STATUS.CLOSING);
+    }
+
+    if (this.status === STATUS.CLOSING) {
+      this.status = STATUS.CLOSED;
+      this.closedAt = now;
+      this.sold = this.isReserveMet();
+      this.winner = this.sold ? this.highestBidder : null;
+      this.finalPrice = this.sold ? this.currentBid : null;
+      transitions.push(STATUS.CLOSED);
+    }
+
+    return transitions;
+  }
+
+  rollbackBid(result) {
+    this.bidHistory.length -= result.historyEntries.length;
+    this.currentBid = result.previousBid;
+    this.highestBidder = result.previousBidder;
+    this.endTime = result.previousEndTime;
+    this.totalExtension = result.previousTotalExtension;
+  }
+
+  applySoftClose(userId, now) {
+    if (!this.softClose || this.endTime - now > this.softClose.window) {
+      return null;
+    }
+
+    const { extension, maxTotalExtension } = this.softClose;
+    const allowed =
+      maxTotalExtension == null
+        ? extension
+        : Math.min(extension, maxTotalExtension - this.totalExtension);
+
+    if (allowed <= 0) {
+      return null;
+    }
+
+    const previousEndTime = this.endTime;
+    this.endTime += allowed;
+    this.totalExtension += allowed;
+
+    return {
+      type: 'extension',
+      triggeredBy: userId,
+      previousEndTime,
+      endTime: this.endTime,
+      extendedBy: allowed,
+      timestamp: now,
+    };
+  }
+
+  checkBiddable() {
+    if (this.status === STATUS.CANCELLED) {
+      return { success: false, message: 'Auction has been cancelled' };
+    }
+
+    if (this.status === STATUS.SCHEDULED) {
+      return { success: false, message: 'Auction has not started yet' };
+    }
+
+    if (this.status === STATUS.PAUSED) {
+      return { success: false, message: 'Auction is paused' };
+    }
+
     if (!this.isActive()) {
       return { success: false, message: 'Auction has ended' };
     }
 
+    return null;
+  }
+
+  // Bids name the currency the bidder saw, so a stale or confused client
+  // cannot bid 100 yen thinking it is 100 dollars.
+  checkCurrency(currency) {
+    if (currency == null || currency === this.currency) {
+      return null;
+    }
+
+    return {
+      success: false,
+      code: 'CURRENCY_MISMATCH',
+      message: `This auction is priced in ${this.currency}, not ${currency}`,
+      currency: this.currency,
+      currentBid: this.currentBid,
+      minimumBid: this.getMinimumNextBid(),
+      statusCode: 400,
+    };
+  }
+
+  getProxyBid(userId) {
+    const proxy = this.proxyBids.get(userId);
+    return proxy ? proxy.maxAmount : null;
+  }
+
+  /*
+   * Settles every registered maximum against the current leader in one step:
+   * the highest max wins (earliest registration on ties) at the runner-up's
+   * max plus one increment, capped at its own max. `funds`, if given, caps
+   * each maximum at what that user can still pay.
+   */
+  resolveProxyBids(now, leaderSince, funds = null) {
+    const minNext = this.getMinimumNextBid();
+    const limit = (userId, amount) => (funds ? Math.min(amount, funds(userId)) : amount);
+    const contenders = [];
+
+    this.proxyBids.forEach((proxy, userId) => {
+      if (userId === this.highestBidder) return;
+      const max = limit(userId, proxy.maxAmount);
+      if (max >= minNext) {
+        contenders.push({ userId, max, since: proxy.createdAt });
+      }
+    });
+
+    if (contenders.length === 0) {
+      return { entries: [], outbid: [] };
+    }
+
+    if (this.highestBidder) {
+      const leaderProxy = this.proxyBids.get(this.highestBidder);
+      contenders.push({
+        userId: this.highestBidder,
+        max: Math.max(limit(this.highestBidder, leaderProxy?.maxAmount ?? 0), this.currentBid),
+        since: Math.min(leaderProxy?.createdAt ?? Infinity, leaderSince),
+      });
+    }
+
+    contenders.sort((a, b) => b.max - a.max || a.since - b.since);
+
+    const [winner, runnerUp] = contenders;
+    const floor = winner.userId === this.highestBidder ? this.currentBid : minNext;
+    let price = runnerUp
+      ? Math.max(floor, Math.min(winner.max, runnerUp.max + this.getIncrement(runnerUp.max)))
+      : minNext;
+
+    // A maximum that covers the reserve bids straight up to it.
+    if (
+      this.reservePrice != null &&
+      price < this.reservePrice &&
+      winner.max >= this.reservePrice
+    ) {
+      price = this.reservePrice;
+    }
+
+    const outbid = contenders
+      .slice(1)
+      .map((contender) => contender.userId);
+
+    if (winner.userId === this.highestBidder && price === this.currentBid) {
+      return { entries: [], outbid };
+    }
+
+    this.currentBid = price;
+    this.highestBidder = winner.userId;
+
+    return {
+      entries: [
+        { type: 'bid', userId: winner.userId, amount: price, timestamp: now, auto: true },
+      ],
+      outbid,
+    };
+  }
+
+  commitBids(userId, previous, entries, outbid, now) {
+    const historyEntries = [...entries];
+    const extension =
+      historyEntries.length > 0 ? this.applySoftClose(userId, now) : null;
+    if (extension) {
+      historyEntries.push(extension);
+    }
+    const from = this.bidHistory.length;
+    this.bidHistory.push(...historyEntries);
+
+    const outbidUsers = new Set(outbid);
+    if (previous.highestBidder) outbidUsers.add(previous.highestBidder);
+    entries.forEach((entry) => outbidUsers.add(entry.userId));
+    outbidUsers.delete(this.highestBidder);
+    const handles = this.bidderHandles();
+
+    return {
+      success: true,
+      reserveMet: this.isReserveMet(),
+      currency: this.currency,
+      newBid: this.currentBid,
+      minBidIncrement: this.getIncrement(),
+      minimumNextBid: this.getMinimumNextBid(),
+      previousBid: previous.currentBid,
+      previousBidder: previous.highestBidder,
+      highestBidder: this.highestBidder,
+      previousLeaderHandle: handles.get(previous.highestBidder) ?? null,
+      leaderHandle: handles.get(this.highestBidder) ?? null,
+      endTime: this.endTime,
+      extension,
+      historyEntries,
+      bids: this.publicBidHistory({ from }),
+      outbidUsers: Array.from(outbidUsers),
+      previousEndTime: previous.endTime,
+      previousTotalExtension: previous.totalExtension,
+    };
+  }
+
+  snapshot() {
+    return {
+      currentBid: this.currentBid,
+      highestBidder: this.highestBidder,
+      endTime: this.endTime,
+      totalExtension: this.totalExtension,
+    };
+  }
+
+  findBid(userId, bidId) {
+    return this.bidHistory.find(
+      (entry) => entry.type === 'bid' && entry.userId === userId && entry.bidId === bidId
+    );
+  }
+
+  // The rejection for an amount `userId` cannot pay, or null if they can.
+  checkFunds(userId, amount, funds, what) {
+    const available = funds ? funds(userId) : Infinity;
+    if (amount <= available) {
+      return null;
+    }
+
+    return {
+      success: false,
+      code: 'INSUFFICIENT_FUNDS',
+      message: `${what} of ${this.format(amount)} is more than your available balance of ${this.format(
+        Math.max(0, available)
+      )}`,
+      currency: this.currency,
+      currentBid: this.currentBid,
+      minimumBid: this.getMinimumNextBid(),
+      available: Math.max(0, available),
+      statusCode: 402,
+    };
+  }
+
+  /*
+   * `funds(userId)`, if given, is what that user can pay for this auction;
+   * bids above it are turned away and maximums only bid up to it.
+   */
+  placeBid(userId, bidAmount, bidId = null, funds = null) {
+    const unavailable = this.checkBiddable();
+    if (unavailable) {
+      return unavailable;
+    }
+
     const minBid = this.getMinimumNextBid();
-    if (bidAmount < minBid) {
+    if (bidAmount < minBid && !this.coversBuyNow(bidAmount)) {
       return {
         success: false,
-        message: `Bid must be at least ${minBid}`,
+        message: `Bid must be at least ${this.format(minBid)}`,
+        currency: this.currency,
+        currentBid: this.currentBid,
         minimumBid: minBid,
       };
     }
 
-    if (this.biddingLock) {
+    // A bid over the Buy It Now price only ever costs that price.
+    const unfunded = this.checkFunds(
+      userId,
+      this.coversBuyNow(bidAmount) ? this.buyNowPrice : bidAmount,
+      funds,
+      'A bid'
+    );
+    if (unfunded) {
+      return unfunded;
+    }
+
+    const previous = this.snapshot();
+    const now = Date.now();
+
+    if (this.coversBuyNow(bidAmount)) {
+      return this.buyNow(userId, previous, now, bidId);
+    }
+
+    this.currentBid = bidAmount;
+    this.highestBidder = userId;
+
+    const manualBid = { type: 'bid', userId, amount: bidAmount, timestamp: now };
+    if (bidId) manualBid.bidId = bidId;
+    const { entries, outbid } = this.resolveProxyBids(now, now, funds);
+
+    return {
+      ...this.commitBids(userId, previous, [manualBid, ...entries], outbid, now),
+      message:
+        this.highestBidder === userId
+          ? 'Bid placed successfully'
+          : 'Your bid was placed but another bidder\'s maximum is higher',
+    };
+  }
+
+  buyNow(userId, previous, now, bidId = null) {
+    this.currentBid = this.buyNowPrice;
+    this.highestBidder = userId;
+    // Ending now hands the close to the scheduler, which announces the sale.
+    this.endTime = now;
+
+    const entry = {
+      type: 'bid',
+      userId,
+      amount: this.buyNowPrice,
+      timestamp: now,
+      buyNow: true,
+    };
+    if (bidId) entry.bidId = bidId;
+    this.bidHistory.push(entry);
+    const [bid] = this.publicBidHistory({ from: this.bidHistory.length - 1 });
+
+    const outbidUsers = new Set(this.proxyBids.keys());
+    if (previous.highestBidder) outbidUsers.add(previous.highestBidder);
+    outbidUsers.delete(userId);
+
+    return {
+      success: true,
+      message: 'You bought it now!',
+      boughtNow: true,
+      reserveMet: this.isReserveMet(),
+      currency: this.currency,
+      newBid: this.currentBid,
+      minBidIncrement: this.getIncrement(),
+      minimumNextBid: this.getMinimumNextBid(),
+      previousBid: previous.currentBid,
+      previousBidder: previous.highestBidder,
+      highestBidder: userId,
+      endTime: this.endTime,
+      extension: null,
+      historyEntries: [entry],
+      bids: [bid],
+      outbidUsers: Array.from(outbidUsers),
+      previousEndTime: previous.endTime,
+      previousTotalExtension: previous.totalExtension,
+    };
+  }
+
+  setProxyBid(userId, maxAmount, funds = null) {
+    const unavailable = this.checkBiddable();
+    if (unavailable) {
+      return unavailable;
+    }
+
+    const isLeader = this.highestBidder === userId;
+    const minimum = isLeader ? this.currentBid : this.getMinimumNextBid();
+    if (maxAmount < minimum || (isLeader && maxAmount === minimum)) {
       return {
         success: false,
-        message: 'Another bid is being processed, please try again',
+        message: isLeader
+          ? `Maximum must be above your current bid of ${this.format(this.currentBid)}`
+          : `Maximum must be at least ${this.format(minimum)}`,
+        currency: this.currency,
+        minimumBid: minimum,
       };
     }
 
-    this.biddingLock = true;
+    const unfunded = this.checkFunds(userId, maxAmount, funds, 'A maximum');
+    if (unfunded) {
+      return unfunded;
+    }
 
-    try {
-      if (!this.isActive()) {
-        return { success: false, message: 'Auction has ended' };
-      }
-      const currentMinBid = this.getMinimumNextBid();
-      if (bidAmount < currentMinBid) {
-        return {
-          success: false,
-          message: `Outbid! Current bid is ${this.currentBid}`,
-          currentBid: this.currentBid,
-          highestBidder: this.highestBidder,
-        };
-      }
+    const previous = this.snapshot();
+    const previousProxy = this.proxyBids.get(userId) || null;
+    const now = Date.now();
 
-      const previousBidder = this.highestBidder;
-      const previousBid = this.currentBid;
+    this.proxyBids.set(userId, {
+      maxAmount,
+      createdAt: previousProxy?.createdAt ?? now,
+    });
 
-      this.currentBid = bidAmount;
-      this.highestBidder = userId;
+    const lastBid = this.bidHistory
+      .filter((entry) => entry.type === 'bid')
+      .pop();
+    const { entries, outbid } = this.resolveProxyBids(
+      now,
+      lastBid?.timestamp ?? now,
+      funds
+    );
 
-      this.bidHistory.push({
-        userId,
-        amount: bidAmount,
-        timestamp: Date.now(),
-      });
+    return {
+      ...this.commitBids(userId, previous, entries, outbid, now),
+      message: 'Maximum bid saved',
+      maxAmount,
+      previousProxy,
+    };
+  }
 
-      return {
-        success: true,
-        message: 'Bid placed successfully',
-        newBid: bidAmount,
-        previousBid,
-        previousBidder,
-        highestBidder: userId,
-      };
-    } finally {
-      this.biddingLock = false;
+  restoreProxyBid(userId, proxy) {
+    if (proxy) {
+      this.proxyBids.set(userId, proxy);
+    } else {
+      this.proxyBids.delete(userId);
+    }
+  }
+
+  cancelProxyBid(userId) {
+    if (!this.proxyBids.has(userId)) {
+      return { success: false, message: 'No maximum bid to cancel' };
     }
+
+    const previousProxy = this.proxyBids.get(userId);
+    this.proxyBids.delete(userId);
+
+    return { success: true, message: 'Maximum bid cancelled', previousProxy };
   }
-  getState() {
+
+  /*
+   * The auction as anyone may see it: bidders appear only by their handle.
+   * `viewerId` learns whether the lead or the win is theirs.
+   */
+  getState(viewerId = null) {
+    const handles = this.bidderHandles();
+
     return {
       id: this.id,
       title: this.title,
+      description: this.description,
+      sellerId: this.sellerId,
+      currency: this.currency,
       startingPrice: this.startingPrice,
       currentBid: this.currentBid,
-      highestBidder: this.highestBidder,
+      leaderHandle: handles.get(this.highestBidder) ?? null,
+      youAreLeading: viewerId !== null && this.highestBidder === viewerId,
+      bidCount: this.standingBids().length,
+      startTime: this.startTime,
       endTime: this.endTime,
       timeRemaining: this.getTimeRemaining(),
       isActive: this.isActive(),
-      minBidIncrement: this.minBidIncrement,
+      status: this.status,
+      closedAt: this.closedAt,
+      winnerHandle: handles.get(this.winner) ?? null,
+      youWon: viewerId !== null && this.winner === viewerId,
+      finalPrice: this.finalPrice,
+      category: this.category,
+      condition: this.condition,
+      images: this.images.map(imageUrls),
+      minBidIncrement: this.getIncrement(),
+      minimumNextBid: this.getMinimumNextBid(),
+      incrementTable: this.getIncrementTable(),
+      softClose: this.softClose,
+      totalExtension: this.totalExtension,
+      sold: this.sold,
+      pausedRemaining: this.pausedRemaining,
+      hasReserve: this.reservePrice != null,
+      reserveMet: this.isReserveMet(),
+      buyNowPrice: this.isBuyNowAvailable() ? this.buyNowPrice : null,
     };
   }
+
+  toRecord() {
+    return {
+      id: this.id,
+      title: this.title,
+      description: this.description,
+      sellerId: this.sellerId,
+      currency: this.currency,
+      startingPrice: this.startingPrice,
+      currentBid: this.currentBid,
+      highestBidder: this.highestBidder,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      status: this.status,
+      closedAt: this.closedAt,
+      winner: this.winner,
+      finalPrice: this.finalPrice,
+      sold: this.sold,
+      reservePrice: this.reservePrice,
+      buyNowPrice: this.buyNowPrice,
+      category: this.category,
+      condition: this.condition,
+      images: this.images,
+      incrementTable: this.incrementTable,
+      softClose: this.softClose,
+      totalExtension: this.totalExtension,
+      pausedRemaining: this.pausedRemaining,
+      proxyBids: Array.from(this.proxyBids, ([userId, proxy]) => ({
+        userId,
+        ...proxy,
+      })),
+      bidHistory: this.bidHistory,
+    };
+  }
+
+  static fromRecord(stored) {
+    const record = upgradeLegacyRecord(stored);
+    const auction = new Auction(
+      record.id,
+      record.title,
+      record.startingPrice,
+      record.endTime - record.startTime,
+      {
+        description: record.description,
+        sellerId: record.sellerId,
+        currency: record.currency,
+        category: record.category,
+        condition: record.condition,
+        images: record.images,
+        incrementTable: record.incrementTable,
+        minBidIncrement: record.minBidIncrement,
+        startTime: record.startTime,
+        softClose: record.softClose,
+        reservePrice: record.reservePrice,
+        buyNowPrice: record.buyNowPrice,
+      }
+    );
+
+    auction.currentBid = record.currentBid;
+    auction.highestBidder = record.highestBidder;
+    auction.status =
+      record.status || (record.cancelled ? STATUS.CANCELLED : auction.status);
+    auction.closedAt = record.closedAt ?? null;
+    auction.winner = record.winner ?? null;
+    auction.finalPrice = record.finalPrice ?? null;
+    auction.sold = record.sold ?? false;
+    auction.totalExtension = record.totalExtension || 0;
+    auction.pausedRemaining = record.pausedRemaining ?? null;
+    (record.proxyBids || []).forEach(({ userId, ...proxy }) => {
+      auction.proxyBids.set(userId, proxy);
+    });
+    auction.bidHistory = record.bidHistory || [];
+
+    return auction;
+  }
+
+  // Rebuilds an auction from its event log; see utils/auctionEvents.
+  static replay(events) {
+    const record = replayEvents(events);
+    return record ? Auction.fromRecord(record) : null;
+  }
 }
 
+Auction.STATUS = STATUS;
+
 module.exports = Auction;
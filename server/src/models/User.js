@@ -0,0 +1,51 @@
+class User {
+  constructor(id, username, passwordHash, salt, options = {}) {
+    this.id = id;
+    this.username = username;
+    this.passwordHash = passwordHash;
+    this.salt = salt;
+    this.role = options.role || 'bidder';
+    this.createdAt = options.createdAt || Date.now();
+    // Set while the user is banned from bidding: { at, by, reason }.
+    this.ban = options.ban || null;
+    this.watchlist = options.watchlist || [];
+  }
+
+  isBanned() {
+    return this.ban !== null;
+  }
+
+  getProfile() {
+    return {
+      id: this.id,
+      username: this.username,
+      role: this.role,
+      banned: this.isBanned(),
+      createdAt: this.createdAt,
+    };
+  }
+
+  toRecord() {
+    return {
+      id: this.id,
+      username: this.username,
+      passwordHash: this.passwordHash,
+      salt: this.salt,
+      role: this.role,
+      ban: this.ban,
+      watchlist: this.watchlist,
+      createdAt: this.createdAt,
+    };
+  }
+
+  static fromRecord(record) {
+    return new User(record.id, record.username, record.passwordHash, record.salt, {
+      role: record.role,
+      ban: record.ban,
+      watchlist: record.watchlist,
+      createdAt: record.createdAt,
+    });
+  }
+}
+
+module.exports = User;
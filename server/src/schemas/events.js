@@ -0,0 +1,48 @@
+const { string, number, money, currency, object, optional } = require('./schema');
+
+const auctionId = string({ max: 100, pattern: /^[A-Za-z0-9_-]+$/ });
+
+// Payload schemas for every event a client may emit.
+const CLIENT_EVENTS = {
+  JOIN_AUCTION: auctionId,
+  LEAVE_AUCTION: auctionId,
+  GET_AUCTION_STATE: auctionId,
+  BID_PLACED: object({
+    auctionId,
+    amount: money(),
+    currency: currency(),
+    bidId: optional(string({ max: 100 })),
+  }),
+  SET_MAX_BID: object({ auctionId, maxAmount: money(), currency: currency() }),
+  CANCEL_MAX_BID: object({ auctionId }),
+  HEARTBEAT: object({ clientTime: optional(number()) }),
+  SUBSCRIBE_SUMMARY: object({}),
+  UNSUBSCRIBE_SUMMARY: object({}),
+  SUBSCRIBE_DETAIL: auctionId,
+  UNSUBSCRIBE_DETAIL: auctionId,
+};
+
+const SERVER_EVENTS = [
+  'AUCTION_STATE',
+  'BID_UPDATE',
+  'BID_SUCCESS',
+  'BID_ERROR',
+  'OUTBID',
+  'HEARTBEAT_ACK',
+  'USER_JOINED',
+  'USER_LEFT',
+  'AUCTION_CREATED',
+  'AUCTION_UPDATED',
+  'AUCTION_CANCELLED',
+  'AUCTION_STARTED',
+  'AUCTION_ENDED',
+  'MAX_BID_UPDATE',
+  'MAX_BID_ERROR',
+  'RATE_LIMITED',
+  'INVALID_PAYLOAD',
+  'USER_BANNED',
+  'USER_UNBANNED',
+  'PRICE_TICKS',
+];
+
+module.exports = { CLIENT_EVENTS, SERVER_EVENTS };
@@ -0,0 +1,164 @@
+const {
+  string,
+  number,
+  positive,
+  money,
+  currency,
+  oneOf,
+  timestamp,
+  array,
+  object,
+  numeric,
+  optional,
+  nullable,
+  refine,
+  transform,
+  MAX_AMOUNT,
+} = require('./schema');
+const {
+  validateIncrementTable,
+  normalizeIncrementTable,
+} = require('../utils/bidIncrements');
+const { decodeCursor, STATUS_FILTERS, SORTS } = require('../utils/auctionQuery');
+const { CATEGORIES, CONDITIONS } = require('../utils/catalog');
+const { IMAGE_ID_PATTERN } = require('../utils/images');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_DURATION = 30 * 24 * 60 * 60 * 1000;
+const MAX_IMAGES = 10;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const MAX_REASON_LENGTH = 500;
+const DEFAULT_ITEMS_PAGE_SIZE = 24;
+const MAX_ITEMS_PAGE_SIZE = 100;
+
+const credentials = object({
+  username: string({ max: 64 }),
+  // Capped so nobody can make us hash megabytes.
+  password: string({ trim: false, max: 256 }),
+});
+
+const duration = transform(
+  refine(positive(), (value, path) =>
+    value > MAX_DURATION ? `${path} must be at most ${MAX_DURATION} ms` : null
+  ),
+  Math.floor
+);
+
+const incrementTable = (value) => {
+  const errors = validateIncrementTable(value);
+  return errors.length > 0
+    ? { value: undefined, errors }
+    : { value: normalizeIncrementTable(value), errors: [] };
+};
+
+const softClose = object({
+  window: positive(),
+  extension: positive(),
+  maxTotalExtension: optional(nullable(positive())),
+});
+
+const auctionInput = object({
+  title: string({ max: MAX_TITLE_LENGTH }),
+  description: optional(string({ min: 0, max: MAX_DESCRIPTION_LENGTH, trim: false })),
+  currency: optional(currency()),
+  startingPrice: money(),
+  minBidIncrement: optional(money()),
+  incrementTable: optional(nullable(incrementTable)),
+  category: optional(nullable(oneOf(Object.keys(CATEGORIES)))),
+  condition: optional(nullable(oneOf(Object.keys(CONDITIONS)))),
+  images: optional(
+    transform(array(string({ pattern: IMAGE_ID_PATTERN }), { max: MAX_IMAGES }), (ids) => [
+      ...new Set(ids),
+    ])
+  ),
+  startTime: optional(timestamp()),
+  duration,
+  reservePrice: optional(nullable(money())),
+  buyNowPrice: optional(nullable(money())),
+  softClose: optional(
+    nullable(
+      transform(softClose, (value) => ({
+        ...value,
+        maxTotalExtension: value.maxTotalExtension ?? null,
+      }))
+    )
+  ),
+});
+
+const eventsQuery = object({
+  after: optional(numeric(number({ min: 0, integer: true }))),
+  limit: optional(numeric(number({ min: 1, max: MAX_PAGE_SIZE, integer: true }))),
+});
+
+const amount = numeric(number({ min: 0, max: MAX_AMOUNT, integer: true }));
+
+const itemsQuery = refine(
+  object({
+    q: optional(string({ min: 0, max: MAX_TITLE_LENGTH })),
+    category: optional(
+      transform(string({ max: 500, lowercase: true }), (value) =>
+        value.split(',').map((category) => category.trim()).filter(Boolean)
+      )
+    ),
+    status: optional(oneOf(Object.keys(STATUS_FILTERS))),
+    seller: optional(string()),
+    currency: optional(currency()),
+    minPrice: optional(amount),
+    maxPrice: optional(amount),
+    sort: optional(oneOf(Object.keys(SORTS))),
+    order: optional(oneOf(['asc', 'desc'])),
+    cursor: optional(
+      transform(
+        refine(string({ max: 500 }), (value, path) =>
+          decodeCursor(value) ? null : `${path} is not a valid cursor`
+        ),
+        decodeCursor
+      )
+    ),
+    limit: optional(numeric(number({ min: 1, max: MAX_ITEMS_PAGE_SIZE, integer: true }))),
+  }),
+  (value) => {
+    // Amounts in different currencies do not compare.
+    if ((value.sort === 'price' || value.minPrice != null || value.maxPrice != null) && !value.currency) {
+      return 'currency is required to sort or filter by price';
+    }
+
+    return value.minPrice != null && value.maxPrice != null && value.minPrice > value.maxPrice
+      ? 'minPrice must not be above maxPrice'
+      : null;
+  }
+);
+
+const extension = object({ duration });
+
+const moderationNote = object({
+  reason: optional(nullable(string({ max: MAX_REASON_LENGTH }))),
+});
+
+const deposit = object({
+  amount: money(),
+  currency: currency(),
+  // A test source of the fake payment provider, e.g. tok_visa.
+  source: optional(string({ max: 100 })),
+});
+
+const bidParams = object({
+  auctionId: string(),
+  bidIndex: numeric(number({ min: 0, integer: true })),
+});
+
+module.exports = {
+  credentials,
+  auctionInput,
+  eventsQuery,
+  itemsQuery,
+  extension,
+  moderationNote,
+  bidParams,
+  deposit,
+  MAX_DURATION,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_ITEMS_PAGE_SIZE,
+};
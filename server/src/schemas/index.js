@@ -0,0 +1,32 @@
+const schema = require('./schema');
+const {
+  credentials,
+  auctionInput,
+  eventsQuery,
+  itemsQuery,
+  extension,
+  moderationNote,
+  bidParams,
+  deposit,
+  MAX_DURATION,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_ITEMS_PAGE_SIZE,
+} = require('./http');
+const { CLIENT_EVENTS, SERVER_EVENTS } = require('./events');
+
+module.exports = {
+  ...schema,
+  credentials,
+  auctionInput,
+  eventsQuery,
+  itemsQuery,
+  extension,
+  moderationNote,
+  bidParams,
+  deposit,
+  MAX_DURATION,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_ITEMS_PAGE_SIZE,
+  CLIENT_EVENTS,
+  SERVER_EVENTS,
+};
@@ -0,0 +1,247 @@
+/*
+ * Small composable validators. A schema is a function
+ * (value, path, options) → { value, errors } that returns the normalized
+ * value when `errors` is empty. `optional` and `nullable` mark fields an
+ * object schema may leave out or set to null.
+ */
+
+const { CURRENCIES, isCurrency } = require('../utils/money');
+
+// In minor units: a billion dollars, well inside the safe integer range.
+const MAX_AMOUNT = 1e11;
+
+const ok = (value) => ({ value, errors: [] });
+const fail = (message) => ({ value: undefined, errors: [message] });
+const label = (path) => path || 'value';
+
+function string({ min = 1, max = Infinity, pattern, trim = true, lowercase = false } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'string') {
+      return fail(`${label(path)} must be a string`);
+    }
+
+    let result = trim ? value.trim() : value;
+    if (lowercase) result = result.toLowerCase();
+
+    if (result.length < min) {
+      return fail(min === 1 ? `${label(path)} is required` : `${label(path)} must be at least ${min} characters`);
+    }
+    if (result.length > max) {
+      return fail(`${label(path)} must be at most ${max} characters`);
+    }
+    if (pattern && !pattern.test(result)) {
+      return fail(`${label(path)} has an invalid format`);
+    }
+
+    return ok(result);
+  };
+}
+
+function number({ min = -Infinity, max = Infinity, exclusiveMin = false, integer = false } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return fail(`${label(path)} must be a finite number`);
+    }
+    if (integer && !Number.isInteger(value)) {
+      return fail(`${label(path)} must be a whole number`);
+    }
+    if (exclusiveMin ? value <= min : value < min) {
+      return fail(`${label(path)} must be ${exclusiveMin ? 'above' : 'at least'} ${min}`);
+    }
+    if (value > max) {
+      return fail(`${label(path)} must be at most ${max}`);
+    }
+
+    return ok(value);
+  };
+}
+
+const positive = (options = {}) => number({ min: 0, exclusiveMin: true, ...options });
+
+// A positive integer amount in the currency's minor unit (see utils/money).
+function money({ max = MAX_AMOUNT } = {}) {
+  const base = positive({ max });
+
+  return (value, path) => {
+    const result = base(value, path);
+    if (result.errors.length > 0) return result;
+
+    return Number.isInteger(value)
+      ? result
+      : fail(`${label(path)} must be a whole number of minor units (e.g. cents)`);
+  };
+}
+
+function currency() {
+  const base = string({ max: 3 });
+
+  return (value, path) => {
+    const result = base(value, path);
+    if (result.errors.length > 0) return result;
+
+    const code = result.value.toUpperCase();
+    return isCurrency(code)
+      ? ok(code)
+      : fail(`${label(path)} must be one of ${Object.keys(CURRENCIES).join(', ')}`);
+  };
+}
+
+function oneOf(values) {
+  const base = string({ lowercase: true });
+
+  return (value, path) => {
+    const result = base(value, path);
+    if (result.errors.length > 0) return result;
+
+    return values.includes(result.value)
+      ? result
+      : fail(`${label(path)} must be one of ${values.join(', ')}`);
+  };
+}
+
+function timestamp() {
+  return (value, path) => {
+    const parsed =
+      typeof value === 'number'
+        ? value
+        : typeof value === 'string'
+        ? Date.parse(value)
+        : NaN;
+
+    if (!Number.isFinite(parsed)) {
+      return fail(`${label(path)} must be a timestamp or ISO date string`);
+    }
+
+    return ok(parsed);
+  };
+}
+
+function boolean() {
+  return (value, path) =>
+    typeof value === 'boolean' ? ok(value) : fail(`${label(path)} must be true or false`);
+}
+
+function array(item, { min = 0, max = Infinity } = {}) {
+  return (value, path, options) => {
+    if (!Array.isArray(value) || value.length < min || value.length > max) {
+      return fail(`${label(path)} must be an array of ${min} to ${max} items`);
+    }
+
+    const errors = [];
+    const result = value.map((entry, index) => {
+      const checked = item(entry, `${label(path)}[${index}]`, options);
+      errors.push(...checked.errors);
+      return checked.value;
+    });
+
+    return { value: result, errors };
+  };
+}
+
+/*
+ * Unknown keys are dropped. With { partial: true } every field is optional,
+ * which is how PATCH bodies are checked against the same schema as POST.
+ */
+function object(shape, { partial: alwaysPartial = false } = {}) {
+  return (value, path, options = {}) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return fail(path ? `${path} must be an object` : 'Payload must be an object');
+    }
+
+    const partial = alwaysPartial || (options.partial && !path);
+    const errors = [];
+    const result = {};
+
+    Object.entries(shape).forEach(([key, schema]) => {
+      const fieldPath = path ? `${path}.${key}` : key;
+      const field = value[key];
+
+      if (field === undefined) {
+        if (!schema.optional && !partial) {
+          errors.push(`${fieldPath} is required`);
+        }
+        return;
+      }
+
+      const checked = schema(field, fieldPath, options);
+      errors.push(...checked.errors);
+      if (checked.errors.length === 0) {
+        result[key] = checked.value;
+      }
+    });
+
+    return { value: result, errors };
+  };
+}
+
+// Query string values arrive as text; numeric text is parsed before checking.
+function numeric(schema) {
+  const wrapped = (value, path, options) =>
+    schema(
+      typeof value === 'string' && value.trim() !== '' ? Number(value) : value,
+      path,
+      options
+    );
+  wrapped.optional = schema.optional;
+  return wrapped;
+}
+
+function optional(schema) {
+  const wrapped = (value, path, options) => schema(value, path, options);
+  wrapped.optional = true;
+  return wrapped;
+}
+
+function nullable(schema) {
+  const wrapped = (value, path, options) =>
+    value === null ? ok(null) : schema(value, path, options);
+  wrapped.optional = schema.optional;
+  return wrapped;
+}
+
+// Extra rule on an already-valid value; `check` returns an error or null.
+function refine(schema, check) {
+  const wrapped = (value, path, options) => {
+    const result = schema(value, path, options);
+    if (result.errors.length > 0) return result;
+
+    const error = check(result.value, label(path));
+    return error ? fail(error) : result;
+  };
+  wrapped.optional = schema.optional;
+  return wrapped;
+}
+
+function transform(schema, fn) {
+  const wrapped = (value, path, options) => {
+    const result = schema(value, path, options);
+    return result.errors.length > 0 ? result : ok(fn(result.value));
+  };
+  wrapped.optional = schema.optional;
+  return wrapped;
+}
+
+function validate(schema, value, options = {}) {
+  const { value: result, errors } = schema(value, '', options);
+  return { valid: errors.length === 0, value: result, errors };
+}
+
+module.exports = {
+  MAX_AMOUNT,
+  string,
+  number,
+  positive,
+  money,
+  currency,
+  oneOf,
+  timestamp,
+  boolean,
+  array,
+  object,
+  numeric,
+  optional,
+  nullable,
+  refine,
+  transform,
+  validate,
+};
@@ -0,0 +1,75 @@
+const Auction = require('../models/Auction');
+const { broadcastAuction } = require('../utils/socketHandlers');
+
+const TICK_INTERVAL = Number(process.env.SCHEDULER_INTERVAL_MS) || 100;
+
+class AuctionScheduler {
+  constructor(auctionService, io) {
+    this.auctionService = auctionService;
+    this.io = io;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.tick();
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // Lifecycle changes may wait on a shared backend; never overlap ticks.
+    if (this.ticking) return;
+    this.ticking = true;
+
+    let events;
+    try {
+      events = await this.auctionService.advanceLifecycles(Date.now());
+    } catch (error) {
+      console.error('[Scheduler] Failed to advance auctions:', error);
+      return;
+    } finally {
+      this.ticking = false;
+    }
+
+    events.forEach(({ status, auction }) => {
+      if (status === Auction.STATUS.LIVE) {
+        broadcastAuction(
+          this.io,
+          'AUCTION_STARTED',
+          auction.id,
+          (state) => ({ auctionId: auction.id, auction: state, serverTime: Date.now() }),
+          this.auctionService
+        );
+        console.log(`[Scheduler] Auction ${auction.id} started`);
+      } else if (status === Auction.STATUS.CLOSED) {
+        broadcastAuction(
+          this.io,
+          'AUCTION_ENDED',
+          auction.id,
+          (state) => ({
+            auctionId: auction.id,
+            winnerHandle: state.winnerHandle,
+            youWon: state.youWon,
+            finalPrice: state.finalPrice,
+            sold: state.sold,
+            reserveMet: state.reserveMet,
+            auction: state,
+            serverTime: Date.now(),
+          }),
+          this.auctionService
+        );
+        console.log(
+          `[Scheduler] Auction ${auction.id} closed, winner: ${auction.winnerHandle || 'none'}`
+        );
+      }
+    });
+  }
+}
+
+module.exports = AuctionScheduler;
@@ -1,77 +1,983 @@
 const Auction = require('../models/Auction');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+const { validateAuctionInput, validatePricing } = require('../utils/validators');
+const { getStore } = require('../storage');
+const { getCluster } = require('../cluster');
+const { CommandQueue, LatencyStats } = require('./CommandQueue');
+const UserService = require('./UserService');
+const ImageService = require('./ImageService');
+const WalletService = require('./WalletService');
+const { money } = require('../schemas');
+const {
+  snapshotRecord,
+  diffRecord,
+  fullRecordDelta,
+} = require('../utils/auctionEvents');
+const { queryAuctions } = require('../utils/auctionQuery');
+
+const MAX_BID_ID_LENGTH = 100;
+const MAX_BID_OUTCOMES = 10000;
+const MAX_COMMIT_ATTEMPTS = 10;
+
+// Sample auctions get the same ids on every instance, derived from their
+// titles, so instances seeding one cluster contend for the same records.
+const SAMPLE_NAMESPACE = '6f1c2d8e-4b7a-4e3f-9c21-5d0a8b7e3f64';
+
+const NOT_FOUND = { success: false, message: 'Auction not found', statusCode: 404 };
+
+const LIFECYCLE_EVENTS = {
+  [Auction.STATUS.LIVE]: 'auction.started',
+  [Auction.STATUS.CLOSING]: 'auction.closing',
+  [Auction.STATUS.CLOSED]: 'auction.closed',
+};
+
+const BANNED = {
+  success: false,
+  code: 'USER_BANNED',
+  message: 'You are banned from bidding',
+  statusCode: 403,
+};
+
+const amountSchema = money();
+
+// Socket payloads are already checked by the schema middleware; this covers
+// every other caller.
+function invalidAmount(value, field) {
+  const { errors } = amountSchema(value, field);
+  return errors.length > 0
+    ? { success: false, code: 'INVALID_PAYLOAD', message: errors.join(', '), statusCode: 400 }
+    : null;
+}
 
 class AuctionService {
-  constructor() {
+  constructor(
+    store,
+    coordinator = null,
+    users = UserService,
+    images = ImageService,
+    wallets = WalletService
+  ) {
+    this.store = store;
+    this.coordinator = coordinator;
+    this.users = users;
+    this.images = images;
+    this.wallets = wallets;
     this.auctions = new Map();
-    this.initializeSampleAuctions();
+    // Version of the shared record each local auction was built from.
+    this.versions = new Map();
+    // Recent outcomes by bid id, so a retried bid gets the answer the first
+    // attempt got instead of being evaluated again.
+    this.bidOutcomes = new Map();
+    this.queues = new Map();
+    this.queueStats = { wait: new LatencyStats(), run: new LatencyStats() };
+    // Auctions each user has bid on or holds a maximum bid in.
+    this.userAuctions = new Map();
+    this.loadAuctions();
+
+    if (coordinator) {
+      this.ready = this.joinCluster();
+    } else {
+      if (this.auctions.size === 0) {
+        this.initializeSampleAuctions();
+      }
+      this.ready = Promise.resolve();
+    }
+  }
+
+  loadAuctions() {
+    this.store.loadAuctions().forEach((record) => {
+      const auction = Auction.fromRecord(record);
+      this.auctions.set(record.id, auction);
+      this.indexBidders(record.id, auction.bidderIds());
+      this.wallets.track(auction);
+
+      // Records from before amounts moved to minor units are converted on
+      // load; rewrite them so later bid appends land on the converted copy.
+      if (!record.currency) {
+        this.store.saveAuction(auction.toRecord());
+      }
+
+      // Auctions from before the event log get a baseline to replay from.
+      if (this.store.loadEvents(record.id, { limit: 1 }).length === 0) {
+        this.recordEvent(record.id, { type: 'auction.imported', ...fullRecordDelta(auction) });
+      }
+    });
+  }
+
+  /*
+   * Appends to the auction's event log. The change itself is already saved,
+   * so a log failure is reported but does not undo it.
+   */
+  recordEvent(auctionId, event) {
+    if (!this.auctions.has(auctionId)) {
+      return null;
+    }
+
+    try {
+      const [stored] = this.store.appendEvents(auctionId, [
+        { type: event.type, actor: null, timestamp: Date.now(), ...event },
+      ]);
+      return stored;
+    } catch (error) {
+      console.error(`[Events] Failed to log ${event.type} for ${auctionId}:`, error);
+      return null;
+    }
+  }
+
+  indexBidders(auctionId, userIds) {
+    userIds.forEach((userId) => {
+      if (!this.userAuctions.has(userId)) {
+        this.userAuctions.set(userId, new Set());
+      }
+      this.userAuctions.get(userId).add(auctionId);
+    });
+  }
+
+  getUserBids(userId) {
+    return Array.from(this.userAuctions.get(userId) || [])
+      .map((auctionId) => this.auctions.get(auctionId))
+      .filter((auction) => auction && auction.status !== Auction.STATUS.CANCELLED)
+      .map((auction) => ({ auction, summary: auction.getBidderSummary(userId) }))
+      .filter(({ summary }) => summary !== null)
+      .map(({ auction, summary }) => ({ ...summary, auction: auction.getState(userId) }));
+  }
+
+  logChange(auctionId, describe, result, delta = {}) {
+    const event = describe?.(result);
+    if (event) {
+      this.recordEvent(auctionId, { ...event, ...delta });
+    }
+  }
+
+  getEvents(auctionId, { after = 0, limit } = {}) {
+    return this.store.loadEvents(auctionId, { after, limit });
+  }
+
+  replayAuction(auctionId) {
+    return Auction.replay(this.store.loadEvents(auctionId));
+  }
+
+  // Rebuilds the auction from its log and checks it against the live copy.
+  verifyReplay(auctionId) {
+    const auction = this.auctions.get(auctionId);
+    const rebuilt = auction && this.replayAuction(auctionId);
+    if (!rebuilt) {
+      return null;
+    }
+
+    return {
+      matches: JSON.stringify(rebuilt.toRecord()) === JSON.stringify(auction.toRecord()),
+      auction: rebuilt.getState(),
+    };
+  }
+
+  /*
+   * In cluster mode the coordinator holds the authoritative copy of every
+   * auction and this instance keeps a replica, refreshed on each change.
+   */
+  async joinCluster() {
+    this.coordinator.subscribe((auctionId, { version, record }) => {
+      this.install(auctionId, version, record);
+    });
+
+    if (this.auctions.size === 0 && (await this.coordinator.list()).length === 0) {
+      await this.seedCluster();
+    }
+
+    // Only fills gaps: a record the cluster already has is left alone.
+    for (const auction of this.auctions.values()) {
+      await this.coordinator.compareAndSet(auction.id, { version: 0 }, auction.toRecord());
+    }
+
+    (await this.coordinator.list()).forEach(({ version, record }) => {
+      this.install(record.id, version, record);
+    });
+  }
+
+  // Every instance of a new cluster seeds at once. Only the compare-and-set
+  // that creates a sample wins, and only the winner logs its creation.
+  async seedCluster() {
+    for (const auction of this.sampleAuctions()) {
+      const record = auction.toRecord();
+      const { ok, version } = await this.coordinator.compareAndSet(
+        auction.id,
+        { version: 0 },
+        record
+      );
+
+      if (ok) {
+        this.install(auction.id, version, record);
+        this.recordEvent(auction.id, { type: 'auction.created', ...fullRecordDelta(auction) });
+      }
+    }
+  }
+
+  install(auctionId, version, record) {
+    if (version <= (this.versions.get(auctionId) || 0)) return;
+
+    const auction = Auction.fromRecord(record);
+    this.versions.set(auctionId, version);
+    this.auctions.set(auctionId, auction);
+    this.indexBidders(auctionId, auction.bidderIds());
+    this.wallets.track(auction);
+
+    try {
+      this.store.saveAuction(record);
+    } catch (error) {
+      console.error(`[Storage] Failed to persist replica of ${auctionId}:`, error);
+    }
+  }
+
+  // Every change to an auction waits its turn in that auction's queue, so
+  // commands never interleave, however long their async steps take.
+  enqueue(auctionId, command) {
+    let queue = this.queues.get(auctionId);
+
+    if (!queue) {
+      queue = new CommandQueue({
+        onComplete: ({ waitMs, runMs }) => {
+          this.queueStats.wait.record(waitMs);
+          this.queueStats.run.record(runMs);
+        },
+      });
+      this.queues.set(auctionId, queue);
+    }
+
+    return queue.run(command).finally(() => {
+      if (queue.isIdle() && this.queues.get(auctionId) === queue) {
+        this.queues.delete(auctionId);
+      }
+    });
+  }
+
+  getQueueMetrics() {
+    let pending = 0;
+    this.queues.forEach((queue) => {
+      pending += queue.pending;
+    });
+
+    return {
+      activeQueues: this.queues.size,
+      pending,
+      wait: this.queueStats.wait.summary(),
+      run: this.queueStats.run.summary(),
+    };
+  }
+
+  commit(auctionId, apply, options) {
+    return this.enqueue(auctionId, () => this.applyChange(auctionId, apply, options));
+  }
+
+  /*
+   * Applies a change to one auction. Standalone, the change runs in place and
+   * is undone if it cannot be persisted. In cluster mode it runs against the
+   * latest shared record and is published with compare-and-set on the
+   * version and currentBid, starting over whenever another instance won.
+   */
+  async applyChange(auctionId, apply, { persist, rollback, failureMessage, describe }) {
+    if (this.coordinator) {
+      return this.commitShared(auctionId, apply, describe);
+    }
+
+    const auction = this.auctions.get(auctionId);
+    if (!auction) {
+      return NOT_FOUND;
+    }
+
+    const before = describe && snapshotRecord(auction);
+    const result = apply(auction);
+    if (!result.success) {
+      this.logChange(auctionId, describe, result);
+      return result;
+    }
+
+    try {
+      persist(auction, result);
+    } catch (error) {
+      if (!rollback) throw error;
+
+      console.error(`[Storage] Failed to persist ${auctionId}:`, error);
+      rollback(auction, result);
+      const failure = {
+        success: false,
+        message: failureMessage,
+        auctionId,
+        statusCode: 503,
+      };
+      this.logChange(auctionId, describe, failure);
+      return failure;
+    }
+
+    // Nothing has yielded since `apply`, so the outbid leader's hold is
+    // released in the same step that accepted the new bid.
+    this.wallets.track(auction);
+    this.indexBidders(auctionId, [
+      ...auction.proxyBids.keys(),
+      ...(result.historyEntries || [])
+        .filter((entry) => entry.type === 'bid')
+        .map((entry) => entry.userId),
+    ]);
+    this.logChange(auctionId, describe, result, before && diffRecord(before, auction));
+    return result;
+  }
+
+  async commitShared(auctionId, apply, describe) {
+    for (let attempt = 0; attempt < MAX_COMMIT_ATTEMPTS; attempt++) {
+      const entry = await this.coordinator.get(auctionId);
+      if (!entry) {
+        return NOT_FOUND;
+      }
+
+      const auction = Auction.fromRecord(entry.record);
+      const before = describe && snapshotRecord(auction);
+      const result = apply(auction);
+
+      if (!result.success) {
+        this.install(auctionId, entry.version, entry.record);
+        this.logChange(auctionId, describe, result);
+        return result;
+      }
+
+      const record = auction.toRecord();
+      const { ok, version } = await this.coordinator.compareAndSet(
+        auctionId,
+        { version: entry.version, currentBid: entry.record.currentBid },
+        record
+      );
+
+      if (ok) {
+        this.install(auctionId, version, record);
+        this.logChange(auctionId, describe, result, before && diffRecord(before, auction));
+        return result;
+      }
+    }
+
+    const busy = {
+      success: false,
+      message: 'Auction is busy, please try again',
+      auctionId,
+      statusCode: 503,
+    };
+    this.logChange(auctionId, describe, busy);
+    return busy;
   }
 
   initializeSampleAuctions() {
+    this.sampleAuctions().forEach((auction) => {
+      this.auctions.set(auction.id, auction);
+      this.store.saveAuction(auction.toRecord());
+      this.recordEvent(auction.id, { type: 'auction.created', ...fullRecordDelta(auction) });
+    });
+  }
+
+  sampleAuctions() {
+    const softClose = {
+      window: 30 * 1000,
+      extension: 30 * 1000,
+      maxTotalExtension: 5 * 60 * 1000,
+    };
     const items = [
-      { title: 'Vintage Camera', startingPrice: 50 },
-      { title: 'Rare Book Collection', startingPrice: 30 },
-      { title: 'Antique Watch', startingPrice: 100 },
-      { title: 'Leather Jacket', startingPrice: 40 },
-      { title: 'Gaming Console', startingPrice: 200 },
-      { title: 'Original Painting', startingPrice: 150 },
+      {
+        title: 'Vintage Camera',
+        startingPrice: 5000,
+        category: 'electronics',
+        condition: 'good',
+        description: '35mm rangefinder from the 1960s.\n\n- Shutter works at all speeds\n- Light wear on the **top plate**',
+      },
+      {
+        title: 'Rare Book Collection',
+        startingPrice: 3000,
+        currency: 'GBP',
+        category: 'books',
+        condition: 'fair',
+        description: 'Twelve first editions, some with *foxed* pages.',
+      },
+      { title: 'Antique Watch', startingPrice: 10000, currency: 'CHF', category: 'jewelry', condition: 'good' },
+      { title: 'Leather Jacket', startingPrice: 4000, currency: 'EUR', category: 'fashion', condition: 'like_new' },
+      { title: 'Gaming Console', startingPrice: 30000, currency: 'JPY', category: 'electronics', condition: 'new' },
+      { title: 'Original Painting', startingPrice: 15000, category: 'art' },
     ];
 
-    items.forEach((item) => {
-      const id = uuidv4();
-      const auction = new Auction(id, item.title, item.startingPrice, 5 * 60 * 1000);
-      this.auctions.set(id, auction);
+    return items.map((item) => {
+      const id = uuidv5(item.title, SAMPLE_NAMESPACE);
+      return new Auction(id, item.title, item.startingPrice, 5 * 60 * 1000, {
+        softClose,
+        description: item.description,
+        category: item.category,
+        condition: item.condition,
+        currency: item.currency,
+      });
     });
   }
 
-  getAllAuctions() {
-    return Array.from(this.auctions.values()).map((auction) =>
-      auction.getState()
-    );
+  getAllAuctions({ includeCancelled = false, viewerId = null } = {}) {
+    return Array.from(this.auctions.values())
+      .filter((auction) => includeCancelled || auction.status !== Auction.STATUS.CANCELLED)
+      .map((auction) => auction.getState(viewerId));
   }
 
-  getAuction(auctionId) {
-    const auction = this.auctions.get(auctionId);
-    return auction ? auction.getState() : null;
+  searchAuctions(query, viewerId = null) {
+    return queryAuctions(this.getAllAuctions({ viewerId }), query);
   }
 
-  placeBid(auctionId, userId, bidAmount) {
+  getAuction(auctionId, viewerId = null) {
     const auction = this.auctions.get(auctionId);
+    return auction ? auction.getState(viewerId) : null;
+  }
 
-    if (!auction) {
+  // The leader's id stays on the server; broadcasts use it to send that
+  // user their own copy of the auction.
+  getLeader(auctionId) {
+    return this.auctions.get(auctionId)?.highestBidder ?? null;
+  }
+
+  async createAuction(input, sellerId) {
+    const { errors, data } = validateAuctionInput(input);
+
+    if (errors.length === 0) {
+      errors.push(...validatePricing(data));
+      errors.push(...this.images.checkOwnership(data.images || [], sellerId));
+    }
+
+    if (errors.length > 0) {
+      return { success: false, code: 'INVALID_PAYLOAD', message: errors.join(', '), statusCode: 400 };
+    }
+
+    const startTime = data.startTime ?? Date.now();
+    if (startTime + data.duration <= Date.now()) {
       return {
         success: false,
-        message: 'Auction not found',
-        statusCode: 404,
+        message: 'Auction would end in the past',
+        statusCode: 400,
       };
     }
 
-    if (typeof bidAmount !== 'number' || bidAmount <= 0) {
+    const id = uuidv4();
+    const auction = new Auction(id, data.title, data.startingPrice, data.duration, {
+      description: data.description,
+      currency: data.currency,
+      minBidIncrement: data.minBidIncrement,
+      incrementTable: data.incrementTable,
+      category: data.category,
+      condition: data.condition,
+      images: data.images,
+      startTime,
+      sellerId,
+      softClose: data.softClose,
+      reservePrice: data.reservePrice,
+      buyNowPrice: data.buyNowPrice,
+    });
+
+    if (this.coordinator) {
+      const record = auction.toRecord();
+      const { version } = await this.coordinator.compareAndSet(id, { version: 0 }, record);
+      this.install(id, version, record);
+    } else {
+      this.store.saveAuction(auction.toRecord());
+      this.auctions.set(id, auction);
+    }
+
+    this.recordEvent(id, {
+      type: 'auction.created',
+      actor: sellerId,
+      ...fullRecordDelta(auction),
+    });
+
+    return { success: true, auction: auction.getState(), statusCode: 201 };
+  }
+
+  async updateAuction(auctionId, input, userId) {
+    const { errors, data } = validateAuctionInput(input, { partial: true });
+
+    if (errors.length === 0 && data.images) {
+      errors.push(...this.images.checkOwnership(data.images, userId));
+    }
+
+    return this.commit(
+      auctionId,
+      (auction) => {
+        if (auction.sellerId !== userId) {
+          return {
+            success: false,
+            message: 'Only the seller can edit this auction',
+            statusCode: 403,
+          };
+        }
+
+        if (!auction.isEditable()) {
+          return {
+            success: false,
+            message:
+              auction.bidHistory.length > 0
+                ? 'Auction cannot be edited after a bid has been placed'
+                : 'Auction can no longer be edited',
+            statusCode: 409,
+          };
+        }
+
+        if (errors.length > 0) {
+          return { success: false, code: 'INVALID_PAYLOAD', message: errors.join(', '), statusCode: 400 };
+        }
+
+        const pricingErrors = validatePricing({
+          startingPrice: data.startingPrice ?? auction.startingPrice,
+          reservePrice:
+            data.reservePrice !== undefined ? data.reservePrice : auction.reservePrice,
+          buyNowPrice:
+            data.buyNowPrice !== undefined ? data.buyNowPrice : auction.buyNowPrice,
+        });
+
+        if (pricingErrors.length > 0) {
+          return { success: false, code: 'INVALID_PAYLOAD', message: pricingErrors.join(', '), statusCode: 400 };
+        }
+
+        const startTime = data.startTime ?? auction.startTime;
+        const duration = data.duration ?? auction.endTime - auction.startTime;
+        if (startTime + duration <= Date.now()) {
+          return {
+            success: false,
+            message: 'Auction would end in the past',
+            statusCode: 400,
+          };
+        }
+
+        auction.update(data);
+
+        return { success: true, auction: auction.getState(), statusCode: 200 };
+      },
+      {
+        persist: (auction) => this.store.saveAuction(auction.toRecord()),
+        describe: (result) =>
+          result.success && {
+            type: 'auction.updated',
+            actor: userId,
+            data: { fields: Object.keys(data) },
+          },
+      }
+    );
+  }
+
+  async cancelAuction(auctionId, userId, { admin = false } = {}) {
+    return this.commit(
+      auctionId,
+      (auction) => {
+        if (auction.status === Auction.STATUS.CANCELLED) {
+          return NOT_FOUND;
+        }
+
+        if (!admin && auction.sellerId !== userId) {
+          return {
+            success: false,
+            message: 'Only the seller can cancel this auction',
+            statusCode: 403,
+          };
+        }
+
+        if (auction.hasEnded()) {
+          return {
+            success: false,
+            message: 'Auction has already ended',
+            statusCode: 409,
+          };
+        }
+
+        auction.cancel();
+
+        return { success: true, auction: auction.getState(), statusCode: 200 };
+      },
+      {
+        persist: (auction) => this.store.saveAuction(auction.toRecord()),
+        describe: (result) =>
+          result.success && {
+            type: 'auction.cancelled',
+            actor: userId,
+            ...(admin && { data: { admin: true } }),
+          },
+      }
+    );
+  }
+
+  // Moderation goes through the auction's queue like any bid, so it lands
+  // between bids rather than across one.
+  moderate(auctionId, adminId, type, apply, describeData = () => ({})) {
+    return this.commit(
+      auctionId,
+      (auction) => {
+        if (auction.status === Auction.STATUS.CANCELLED) {
+          return NOT_FOUND;
+        }
+
+        const result = apply(auction);
+        return result.success
+          ? { ...result, auction: auction.getState(), statusCode: 200 }
+          : result;
+      },
+      {
+        persist: (auction) => this.store.saveAuction(auction.toRecord()),
+        describe: (result) =>
+          result.success && { type, actor: adminId, data: describeData(result) },
+      }
+    );
+  }
+
+  async pauseAuction(auctionId, adminId) {
+    return this.moderate(auctionId, adminId, 'admin.paused', (auction) => auction.pause());
+  }
+
+  async resumeAuction(auctionId, adminId) {
+    return this.moderate(auctionId, adminId, 'admin.resumed', (auction) => auction.resume());
+  }
+
+  async extendAuction(auctionId, adminId, duration) {
+    return this.moderate(
+      auctionId,
+      adminId,
+      'admin.extended',
+      (auction) => auction.extend(duration),
+      ({ auction }) => ({ extendedBy: duration, endTime: auction.endTime })
+    );
+  }
+
+  async voidBid(auctionId, adminId, bidIndex, reason = null) {
+    return this.moderate(
+      auctionId,
+      adminId,
+      'admin.bid_voided',
+      (auction) =>
+        auction.voidBid(bidIndex, adminId, reason, this.wallets.fundsFor(auction)),
+      ({ voided, newBid, highestBidder, droppedMaxBid }) => ({
+        bidIndex,
+        reason,
+        userId: voided.userId,
+        amount: voided.amount,
+        currentBid: newBid,
+        highestBidder,
+        droppedMaxBid,
+      })
+    );
+  }
+
+  /*
+   * Bans the user from bidding and drops their maximum bids, which would
+   * otherwise keep bidding for them.
+   */
+  async banUser(userId, adminId, reason = null) {
+    const result = this.users.setBanned(userId, true, { by: adminId, reason });
+    if (!result.success) {
+      return result;
+    }
+
+    const holding = Array.from(this.auctions.values()).filter(
+      (auction) => !auction.isFinal() && auction.getProxyBid(userId) !== null
+    );
+
+    const cancelled = await Promise.all(
+      holding.map(({ id }) =>
+        this.commit(id, (auction) => auction.cancelProxyBid(userId), {
+          persist: (auction) => this.store.saveAuction(auction.toRecord()),
+          describe: (outcome) =>
+            outcome.success && {
+              type: 'proxy.cancelled',
+              actor: adminId,
+              data: { userId, reason: 'banned' },
+            },
+        })
+      )
+    );
+
+    return {
+      ...result,
+      cancelledMaxBids: holding
+        .filter((auction, index) => cancelled[index].success)
+        .map((auction) => auction.id),
+    };
+  }
+
+  async unbanUser(userId, adminId) {
+    return this.users.setBanned(userId, false, { by: adminId });
+  }
+
+  async placeBid(auctionId, userId, bidAmount, bidId = null, currency = null) {
+    if (!this.auctions.has(auctionId)) {
+      return NOT_FOUND;
+    }
+
+    // Every attempt is logged with its outcome, including ones turned away
+    // before they reach the auction.
+    const describeBid = (result) => {
+      const data = { bidId, amount: bidAmount, currency };
+
+      if (result.duplicate || result.alreadyAccepted) {
+        return { type: 'bid.duplicate', actor: userId, data };
+      }
+
+      if (!result.success) {
+        return {
+          type: 'bid.rejected',
+          actor: userId,
+          data: { ...data, code: result.code ?? null, reason: result.message },
+        };
+      }
+
       return {
+        type: result.boughtNow ? 'bid.bought_now' : 'bid.accepted',
+        actor: userId,
+        data: {
+          ...data,
+          currentBid: result.newBid,
+          highestBidder: result.highestBidder,
+          extendedBy: result.extension?.extendedBy ?? null,
+        },
+      };
+    };
+
+    if (this.users.isBanned(userId)) {
+      this.logChange(auctionId, describeBid, BANNED);
+      return { ...BANNED, auctionId };
+    }
+
+    if (
+      bidId !== null &&
+      (typeof bidId !== 'string' || !bidId || bidId.length > MAX_BID_ID_LENGTH)
+    ) {
+      const rejection = {
         success: false,
-        message: 'Invalid bid amount',
+        code: 'INVALID_PAYLOAD',
+        message: `bidId must be a string of at most ${MAX_BID_ID_LENGTH} characters`,
         statusCode: 400,
       };
+      this.logChange(auctionId, describeBid, rejection);
+      return rejection;
+    }
+
+    const amountError = invalidAmount(bidAmount, 'amount');
+    if (amountError) {
+      this.logChange(auctionId, describeBid, amountError);
+      return { ...amountError, auctionId };
     }
 
-    const result = auction.placeBid(userId, bidAmount);
+    // The duplicate check runs inside the queue too, so two copies of the same
+    // bid arriving together are answered one after the other.
+    return this.enqueue(auctionId, async () => {
+      const key = bidId && `${auctionId}:${userId}:${bidId}`;
+      const previous = key && this.bidOutcomes.get(key);
+      if (previous) {
+        const duplicate = { ...previous, duplicate: true };
+        this.logChange(auctionId, describeBid, duplicate);
+        return duplicate;
+      }
+
+      const result = await this.applyChange(
+        auctionId,
+        (auction) => {
+          // Outcomes are only kept in memory, but accepted bids carry their id
+          // in the persisted history, so a retry after a restart or on another
+          // instance is still caught.
+          if (bidId && auction.findBid(userId, bidId)) {
+            return {
+              success: false,
+              alreadyAccepted: true,
+              currency: auction.currency,
+              newBid: auction.currentBid,
+              highestBidder: auction.highestBidder,
+              minimumNextBid: auction.getMinimumNextBid(),
+            };
+          }
+
+          return (
+            auction.checkCurrency(currency) ||
+            auction.placeBid(userId, bidAmount, bidId, this.wallets.fundsFor(auction))
+          );
+        },
+        {
+          persist: (auction, { historyEntries }) =>
+            this.store.appendBid(auctionId, historyEntries, {
+              currentBid: auction.currentBid,
+              highestBidder: auction.highestBidder,
+              endTime: auction.endTime,
+              totalExtension: auction.totalExtension,
+            }),
+          rollback: (auction, bid) => auction.rollbackBid(bid),
+          failureMessage: 'Bid could not be saved, please try again',
+          describe: describeBid,
+        }
+      );
+
+      if (result.alreadyAccepted) {
+        return {
+          ...result,
+          success: true,
+          duplicate: true,
+          message: 'Bid was already accepted',
+          auctionId,
+          statusCode: 200,
+        };
+      }
+
+      const outcome = {
+        ...result,
+        auctionId,
+        statusCode: result.statusCode || (result.success ? 200 : 400),
+      };
+
+      // A failed write changed nothing, so the client may retry it.
+      if (key && outcome.statusCode !== 503) {
+        this.rememberBidOutcome(key, outcome);
+      }
+
+      return outcome;
+    });
+  }
+
+  rememberBidOutcome(key, result) {
+    this.bidOutcomes.set(key, result);
+
+    if (this.bidOutcomes.size > MAX_BID_OUTCOMES) {
+      this.bidOutcomes.delete(this.bidOutcomes.keys().next().value);
+    }
+  }
+
+  async setMaxBid(auctionId, userId, maxAmount, currency = null) {
+    if (!this.auctions.has(auctionId)) {
+      return NOT_FOUND;
+    }
+
+    if (this.users.isBanned(userId)) {
+      return { ...BANNED, auctionId };
+    }
+
+    const amountError = invalidAmount(maxAmount, 'maxAmount');
+    if (amountError) {
+      return amountError;
+    }
+
+    const result = await this.commit(
+      auctionId,
+      (auction) =>
+        auction.checkCurrency(currency) ||
+        auction.setProxyBid(userId, maxAmount, this.wallets.fundsFor(auction)),
+      {
+        persist: (auction) => this.store.saveAuction(auction.toRecord()),
+        rollback: (auction, proxy) => {
+          auction.rollbackBid(proxy);
+          auction.restoreProxyBid(userId, proxy.previousProxy);
+        },
+        failureMessage: 'Maximum bid could not be saved, please try again',
+        describe: (result) =>
+          result.success
+            ? {
+                type: 'proxy.set',
+                actor: userId,
+                data: { maxAmount, currency, currentBid: result.newBid },
+              }
+            : {
+                type: 'proxy.rejected',
+                actor: userId,
+                data: { maxAmount, currency, code: result.code ?? null, reason: result.message },
+              },
+      }
+    );
+
+    return {
+      ...result,
+      auctionId,
+      statusCode: result.statusCode || (result.success ? 200 : 400),
+    };
+  }
+
+  async cancelMaxBid(auctionId, userId) {
+    const result = await this.commit(
+      auctionId,
+      (auction) => auction.cancelProxyBid(userId),
+      {
+        persist: (auction) => this.store.saveAuction(auction.toRecord()),
+        rollback: (auction, proxy) =>
+          auction.restoreProxyBid(userId, proxy.previousProxy),
+        failureMessage: 'Maximum bid could not be cancelled, please try again',
+        describe: (result) =>
+          result.success && { type: 'proxy.cancelled', actor: userId },
+      }
+    );
 
     return {
       ...result,
       auctionId,
-      statusCode: result.success ? 200 : 400,
+      statusCode: result.statusCode || (result.success ? 200 : 400),
     };
   }
 
+  getMaxBid(auctionId, userId) {
+    const auction = this.auctions.get(auctionId);
+    return auction ? auction.getProxyBid(userId) : null;
+  }
+
+  // In cluster mode every instance runs a scheduler; compare-and-set lets
+  // exactly one of them record each transition and announce it.
+  async advanceLifecycles(now = Date.now()) {
+    const due = Array.from(this.auctions.values()).filter((auction) =>
+      auction.hasPendingTransition(now)
+    );
+
+    const results = await Promise.all(
+      due.map(({ id }) =>
+        this.commit(
+          id,
+          (auction) => {
+            const transitions = auction.advance(now);
+            return { success: transitions.length > 0, transitions, auction };
+          },
+          {
+            persist: (auction) => {
+              try {
+                this.store.saveAuction(auction.toRecord());
+              } catch (error) {
+                console.error(`[Storage] Failed to persist state of ${auction.id}:`, error);
+              }
+            },
+            describe: ({ success, transitions, auction }) =>
+              success && {
+                type: LIFECYCLE_EVENTS[transitions[transitions.length - 1]],
+                data: {
+                  transitions,
+                  winner: auction.winner,
+                  finalPrice: auction.finalPrice,
+                  sold: auction.sold,
+                },
+              },
+          }
+        )
+      )
+    );
+
+    return results
+      .filter((result) => result.success)
+      .flatMap(({ transitions, auction }) => {
+        const state = auction.getState();
+        return transitions.map((status) => ({ status, auction: state }));
+      });
+  }
+
   getMinimumBid(auctionId) {
     const auction = this.auctions.get(auctionId);
     return auction ? auction.getMinimumNextBid() : null;
   }
 
+  close() {
+    this.store.close();
+  }
+
   getBidHistory(auctionId) {
     const auction = this.auctions.get(auctionId);
     return auction ? auction.bidHistory : [];
   }
+
+  getPublicBidHistory(auctionId, viewerId = null) {
+    const auction = this.auctions.get(auctionId);
+    return auction && auction.status !== Auction.STATUS.CANCELLED
+      ? auction.publicBidHistory({ viewerId })
+      : null;
+  }
 }
 
-module.exports = new AuctionService();
+module.exports = new AuctionService(getStore(), getCluster().coordinator);
+module.exports.AuctionService = AuctionService;
@@ -0,0 +1,86 @@
+const { performance } = require('perf_hooks');
+
+const SAMPLE_SIZE = 1000;
+
+/*
+ * Latency summary over every sample, with percentiles taken from the most
+ * recent SAMPLE_SIZE of them.
+ */
+class LatencyStats {
+  constructor() {
+    this.count = 0;
+    this.total = 0;
+    this.max = 0;
+    this.samples = [];
+  }
+
+  record(ms) {
+    this.count += 1;
+    this.total += ms;
+    this.max = Math.max(this.max, ms);
+
+    this.samples.push(ms);
+    if (this.samples.length > SAMPLE_SIZE) {
+      this.samples.shift();
+    }
+  }
+
+  percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+  }
+
+  summary() {
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    const round = (ms) => Math.round(ms * 1000) / 1000;
+
+    return {
+      count: this.count,
+      avgMs: round(this.count ? this.total / this.count : 0),
+      maxMs: round(this.max),
+      p50Ms: round(this.percentile(sorted, 0.5)),
+      p95Ms: round(this.percentile(sorted, 0.95)),
+      p99Ms: round(this.percentile(sorted, 0.99)),
+    };
+  }
+}
+
+/*
+ * Runs async commands strictly one at a time in the order they arrive. A
+ * failing command rejects only its own caller; the queue moves on.
+ */
+class CommandQueue {
+  constructor({ onComplete } = {}) {
+    this.tail = Promise.resolve();
+    this.pending = 0;
+    this.onComplete = onComplete;
+  }
+
+  run(command) {
+    const enqueuedAt = performance.now();
+    this.pending += 1;
+
+    const result = this.tail.then(async () => {
+      const startedAt = performance.now();
+
+      try {
+        return await command();
+      } finally {
+        this.pending -= 1;
+        this.onComplete?.({
+          waitMs: startedAt - enqueuedAt,
+          runMs: performance.now() - startedAt,
+        });
+      }
+    });
+
+    this.tail = result.catch(() => {});
+    return result;
+  }
+
+  isIdle() {
+    return this.pending === 0;
+  }
+}
+
+module.exports = { CommandQueue, LatencyStats };
@@ -0,0 +1,52 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Test payment sources, named after the test cards real providers offer.
+const TEST_SOURCES = {
+  tok_visa: null,
+  tok_mastercard: null,
+  tok_declined: 'Your card was declined',
+  tok_insufficient_funds: 'Your card has insufficient funds',
+};
+
+const DEFAULT_SOURCE = 'tok_visa';
+
+/*
+ * Local stand-in for a card processor, so deposits can be tried without one.
+ * It charges nothing: every known test source but the declining ones
+ * succeeds. A real provider implements the same async `charge`.
+ */
+class FakePaymentProvider {
+  constructor() {
+    this.payments = new Map();
+  }
+
+  async charge({ userId, amount, currency, source = DEFAULT_SOURCE }) {
+    if (!Object.prototype.hasOwnProperty.call(TEST_SOURCES, source)) {
+      return {
+        success: false,
+        code: 'PAYMENT_DECLINED',
+        message: `Unknown payment source, use one of ${Object.keys(TEST_SOURCES).join(', ')}`,
+      };
+    }
+
+    if (TEST_SOURCES[source]) {
+      return { success: false, code: 'PAYMENT_DECLINED', message: TEST_SOURCES[source] };
+    }
+
+    const payment = {
+      id: `pay_${uuidv4()}`,
+      userId,
+      amount,
+      currency,
+      source,
+      createdAt: Date.now(),
+    };
+    this.payments.set(payment.id, payment);
+
+    return { success: true, paymentId: payment.id };
+  }
+}
+
+module.exports = new FakePaymentProvider();
+module.exports.FakePaymentProvider = FakePaymentProvider;
+module.exports.TEST_SOURCES = TEST_SOURCES;
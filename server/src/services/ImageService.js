@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { IMAGE_ID_PATTERN, imageUrls } = require('../utils/images');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || 'data/uploads';
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+// Decoding is what costs memory, so the pixel count is capped as well.
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+const FULL_SIZE = 1600;
+const THUMBNAIL = { width: 400, height: 300 };
+
+/*
+ * Stores uploads in a local directory. Every image is re-encoded, which
+ * drops metadata such as GPS tags and rejects anything that only claims to
+ * be an image. A small JSON file next to each image records who uploaded it.
+ */
+class ImageService {
+  constructor(dir = UPLOAD_DIR) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  file(name) {
+    return path.join(this.dir, name);
+  }
+
+  async upload(buffer, uploaderId) {
+    let image;
+    try {
+      image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+      await image.metadata();
+    } catch (error) {
+      return { success: false, message: 'Not a supported image', statusCode: 400 };
+    }
+
+    const id = uuidv4();
+
+    try {
+      const full = await image
+        .clone()
+        .resize(FULL_SIZE, FULL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer({ resolveWithObject: true });
+      const thumbnail = await image
+        .clone()
+        .resize(THUMBNAIL.width, THUMBNAIL.height, { fit: 'cover' })
+        .webp({ quality: 75 })
+        .toBuffer();
+
+      await fs.promises.writeFile(this.file(`${id}.webp`), full.data);
+      await fs.promises.writeFile(this.file(`${id}-thumb.webp`), thumbnail);
+      await fs.promises.writeFile(
+        this.file(`${id}.json`),
+        JSON.stringify({
+          id,
+          uploaderId,
+          width: full.info.width,
+          height: full.info.height,
+          createdAt: Date.now(),
+        })
+      );
+    } catch (error) {
+      console.error('Error storing image:', error);
+      return { success: false, message: 'Not a supported image', statusCode: 400 };
+    }
+
+    return { success: true, image: imageUrls(id), statusCode: 201 };
+  }
+
+  get(id) {
+    if (!IMAGE_ID_PATTERN.test(id)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(this.file(`${id}.json`), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Sellers may only attach images they uploaded themselves.
+  checkOwnership(ids, uploaderId) {
+    const foreign = ids.filter((id) => this.get(id)?.uploaderId !== uploaderId);
+
+    return foreign.length === 0
+      ? []
+      : [`Unknown image${foreign.length > 1 ? 's' : ''}: ${foreign.join(', ')}`];
+  }
+}
+
+module.exports = new ImageService();
+module.exports.ImageService = ImageService;
+module.exports.IMAGE_TYPES = IMAGE_TYPES;
+module.exports.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES;
@@ -0,0 +1,69 @@
+const TICK_INTERVAL = Number(process.env.PRICE_TICK_INTERVAL_MS) || 1000;
+
+const SUMMARY_ROOM = 'summary';
+
+/*
+ * Pushes what changed on any auction since the last tick to the summary
+ * room, in one PRICE_TICKS event. Clients only join the rooms of auctions
+ * they have on screen; this keeps the rest of the grid roughly current.
+ */
+class PriceTicker {
+  constructor(auctionService, io) {
+    this.auctionService = auctionService;
+    this.io = io;
+    this.timer = null;
+    this.lastSent = new Map();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Room sizes and the replica are per instance, so each instance only
+  // serves its own sockets.
+  watcherCount(auctionId) {
+    return this.io.sockets.adapter.rooms.get(`auction:${auctionId}`)?.size || 0;
+  }
+
+  tick() {
+    const ticks = [];
+
+    this.auctionService.getAllAuctions({ includeCancelled: true }).forEach((auction) => {
+      const tick = {
+        auctionId: auction.id,
+        status: auction.status,
+        currentBid: auction.currentBid,
+        leaderHandle: auction.leaderHandle,
+        bidCount: auction.bidCount,
+        minimumNextBid: auction.minimumNextBid,
+        minBidIncrement: auction.minBidIncrement,
+        reserveMet: auction.reserveMet,
+        endTime: auction.endTime,
+        watchers: this.watcherCount(auction.id),
+      };
+      const key = JSON.stringify(tick);
+
+      if (this.lastSent.get(auction.id) !== key) {
+        this.lastSent.set(auction.id, key);
+        ticks.push(tick);
+      }
+    });
+
+    if (ticks.length > 0 && this.io.sockets.adapter.rooms.has(SUMMARY_ROOM)) {
+      this.io.local.to(SUMMARY_ROOM).emit('PRICE_TICKS', {
+        ticks,
+        serverTime: Date.now(),
+      });
+    }
+  }
+}
+
+PriceTicker.SUMMARY_ROOM = SUMMARY_ROOM;
+
+module.exports = PriceTicker;
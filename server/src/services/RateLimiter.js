@@ -0,0 +1,193 @@
+/*
+ * Token buckets keyed by scope and caller. Each rule names a bucket capacity
+ * (the burst allowed) and a refill rate; a request spends one token.
+ */
+const DEFAULT_LIMITS = {
+  BID_PLACED: {
+    user: { capacity: 10, refillPerSecond: 5 },
+    ip: { capacity: 30, refillPerSecond: 15 },
+  },
+  SET_MAX_BID: {
+    user: { capacity: 5, refillPerSecond: 1 },
+  },
+  JOIN_AUCTION: {
+    user: { capacity: 60, refillPerSecond: 20 },
+    ip: { capacity: 200, refillPerSecond: 60 },
+  },
+  GET_AUCTION_STATE: {
+    user: { capacity: 20, refillPerSecond: 5 },
+  },
+  socket: {
+    user: { capacity: 100, refillPerSecond: 30 },
+  },
+  auth: {
+    ip: { capacity: 10, refillPerSecond: 0.2 },
+  },
+  read: {
+    ip: { capacity: 120, refillPerSecond: 30 },
+  },
+  write: {
+    user: { capacity: 20, refillPerSecond: 1 },
+    ip: { capacity: 40, refillPerSecond: 2 },
+  },
+  upload: {
+    user: { capacity: 10, refillPerSecond: 0.2 },
+  },
+};
+
+const BAN_THRESHOLD = Number(process.env.RATE_LIMIT_BAN_THRESHOLD) || 20;
+const BAN_WINDOW = 60 * 1000;
+const BAN_DURATION = Number(process.env.RATE_LIMIT_BAN_MS) || 60 * 1000;
+const MAX_BUCKETS = 100000;
+
+function loadLimits(value = process.env.RATE_LIMITS) {
+  if (!value) {
+    return DEFAULT_LIMITS;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`RATE_LIMITS is not valid JSON: ${error.message}`);
+  }
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('RATE_LIMITS must be a JSON object of rules by scope');
+  }
+
+  const limits = { ...DEFAULT_LIMITS };
+
+  Object.entries(overrides).forEach(([scope, rules]) => {
+    limits[scope] = { ...limits[scope], ...rules };
+  });
+
+  return limits;
+}
+
+class RateLimiter {
+  constructor(limits = DEFAULT_LIMITS, { banThreshold, banWindow, banDuration } = {}) {
+    this.limits = limits;
+    this.banThreshold = banThreshold ?? BAN_THRESHOLD;
+    this.banWindow = banWindow ?? BAN_WINDOW;
+    this.banDuration = banDuration ?? BAN_DURATION;
+    this.buckets = new Map();
+    this.violations = new Map();
+    this.bans = new Map();
+  }
+
+  /*
+   * Spends a token from every bucket that applies to the caller, e.g.
+   * consume('BID_PLACED', { user: userId, ip }). Nothing is spent unless all
+   * of them have a token. Scopes without their own rules fall back to
+   * `fallback`.
+   */
+  consume(scope, callers, fallback = null, now = Date.now()) {
+    const rules = this.limits[scope] || (fallback && this.limits[fallback]);
+    if (!rules) {
+      return { allowed: true };
+    }
+
+    const ruleScope = this.limits[scope] ? scope : fallback;
+    const checks = Object.entries(rules)
+      .filter(([kind]) => callers[kind] != null)
+      .map(([kind, rule]) => ({
+        rule,
+        bucket: this.refill(`${ruleScope}:${kind}:${callers[kind]}`, rule, now),
+      }));
+
+    const empty = checks.filter(({ bucket }) => bucket.tokens < 1);
+    if (empty.length > 0) {
+      const retryAfter = Math.max(
+        ...empty.map(({ bucket, rule }) =>
+          Math.ceil(((1 - bucket.tokens) / rule.refillPerSecond) * 1000)
+        )
+      );
+      return { allowed: false, retryAfter };
+    }
+
+    checks.forEach(({ bucket }) => {
+      bucket.tokens -= 1;
+    });
+
+    return { allowed: true };
+  }
+
+  refill(key, rule, now) {
+    let bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      if (this.buckets.size >= MAX_BUCKETS) {
+        this.prune(now);
+      }
+      bucket = { tokens: rule.capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+      return bucket;
+    }
+
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(rule.capacity, bucket.tokens + elapsed * rule.refillPerSecond);
+    bucket.updatedAt = now;
+
+    return bucket;
+  }
+
+  // A bucket idle long enough to have refilled is the same as a new one.
+  prune(now) {
+    const idle = 10 * 60 * 1000;
+    this.buckets.forEach((bucket, key) => {
+      if (now - bucket.updatedAt > idle) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+
+  /*
+   * Counts a rejected request against each caller and returns the ban length
+   * in ms once any of them reaches the threshold within the window.
+   */
+  recordViolation(callers, now = Date.now()) {
+    let banned = 0;
+
+    Object.entries(callers)
+      .filter(([, value]) => value != null)
+      .forEach(([kind, value]) => {
+        const key = `${kind}:${value}`;
+        const recent = (this.violations.get(key) || []).filter(
+          (timestamp) => now - timestamp < this.banWindow
+        );
+        recent.push(now);
+        this.violations.set(key, recent);
+
+        if (recent.length >= this.banThreshold) {
+          this.bans.set(key, now + this.banDuration);
+          this.violations.delete(key);
+          banned = this.banDuration;
+        }
+      });
+
+    return banned;
+  }
+
+  // Remaining ban in ms for whichever of the callers is banned longest.
+  banRemaining(callers, now = Date.now()) {
+    return Object.entries(callers)
+      .filter(([, value]) => value != null)
+      .reduce((longest, [kind, value]) => {
+        const key = `${kind}:${value}`;
+        const until = this.bans.get(key);
+        if (!until) return longest;
+
+        if (until <= now) {
+          this.bans.delete(key);
+          return longest;
+        }
+        return Math.max(longest, until - now);
+      }, 0);
+  }
+}
+
+module.exports = new RateLimiter(loadLimits());
+module.exports.RateLimiter = RateLimiter;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
+module.exports.loadLimits = loadLimits;
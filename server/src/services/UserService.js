@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const { getStore } = require('../storage');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_WATCHLIST_SIZE = 200;
+const TOKEN_TTL = process.env.JWT_TTL || '12h';
+
+// Accounts with these usernames are made admins when they register or load.
+const ADMIN_USERNAMES = new Set(
+  (process.env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+function resolveSecret() {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+
+  console.warn(
+    '[Auth] JWT_SECRET not set, using a random secret; tokens will not survive a restart'
+  );
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+class UserService {
+  constructor(store) {
+    this.store = store;
+    this.secret = resolveSecret();
+    this.users = new Map();
+    this.usernames = new Map();
+
+    this.store.loadUsers().forEach((record) => {
+      const user = User.fromRecord(record);
+      if (this.promote(user)) {
+        this.store.saveUser(user.toRecord());
+      }
+      this.addUser(user);
+    });
+  }
+
+  promote(user) {
+    if (user.role === 'admin' || !ADMIN_USERNAMES.has(user.username.toLowerCase())) {
+      return false;
+    }
+
+    user.role = 'admin';
+    return true;
+  }
+
+  addUser(user) {
+    this.users.set(user.id, user);
+    this.usernames.set(user.username.toLowerCase(), user);
+  }
+
+  issueToken(user) {
+    return jwt.sign(
+      { sub: user.id, username: user.username, role: user.role },
+      this.secret,
+      { expiresIn: TOKEN_TTL }
+    );
+  }
+
+  register(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return {
+        success: false,
+        message:
+          'Username must be 3-32 characters of letters, numbers, _ . or -',
+        statusCode: 400,
+      };
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return {
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        statusCode: 400,
+      };
+    }
+
+    if (this.usernames.has(username.toLowerCase())) {
+      return {
+        success: false,
+        message: 'Username is already taken',
+        statusCode: 409,
+      };
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const user = new User(uuidv4(), username, hashPassword(password, salt), salt);
+    this.promote(user);
+
+    this.store.saveUser(user.toRecord());
+    this.addUser(user);
+
+    return {
+      success: true,
+      user: user.getProfile(),
+      token: this.issueToken(user),
+      statusCode: 201,
+    };
+  }
+
+  login(username, password) {
+    const user =
+      typeof username === 'string'
+        ? this.usernames.get(username.toLowerCase())
+        : null;
+
+    const valid =
+      user &&
+      typeof password === 'string' &&
+      crypto.timingSafeEqual(
+        Buffer.from(hashPassword(password, user.salt), 'hex'),
+        Buffer.from(user.passwordHash, 'hex')
+      );
+
+    if (!valid) {
+      return {
+        success: false,
+        message: 'Invalid username or password',
+        statusCode: 401,
+      };
+    }
+
+    return {
+      success: true,
+      user: user.getProfile(),
+      token: this.issueToken(user),
+      statusCode: 200,
+    };
+  }
+
+  verifyToken(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    try {
+      const payload = jwt.verify(token, this.secret);
+      const user = this.users.get(payload.sub);
+      return user ? user.getProfile() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getUser(userId) {
+    const user = this.users.get(userId);
+    return user ? user.getProfile() : null;
+  }
+
+  getWatchlist(userId) {
+    return this.users.get(userId)?.watchlist.slice() ?? [];
+  }
+
+  setWatching(userId, auctionId, watching) {
+    const user = this.users.get(userId);
+    if (!user) {
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+
+    if (user.watchlist.includes(auctionId) === watching) {
+      return { success: true, watchlist: user.watchlist.slice(), statusCode: 200 };
+    }
+
+    if (watching && user.watchlist.length >= MAX_WATCHLIST_SIZE) {
+      return {
+        success: false,
+        message: `You can watch at most ${MAX_WATCHLIST_SIZE} auctions`,
+        statusCode: 409,
+      };
+    }
+
+    const previous = user.watchlist;
+    user.watchlist = watching
+      ? [...previous, auctionId]
+      : previous.filter((id) => id !== auctionId);
+
+    try {
+      this.store.saveUser(user.toRecord());
+    } catch (error) {
+      user.watchlist = previous;
+      throw error;
+    }
+
+    return { success: true, watchlist: user.watchlist.slice(), statusCode: 200 };
+  }
+
+  isBanned(userId) {
+    return Boolean(this.users.get(userId)?.isBanned());
+  }
+
+  setBanned(userId, banned, { by = null, reason = null } = {}) {
+    const user = this.users.get(userId);
+    if (!user) {
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+
+    if (banned && user.role === 'admin') {
+      return { success: false, message: 'Admins cannot be banned', statusCode: 409 };
+    }
+
+    if (banned === user.isBanned()) {
+      return {
+        success: false,
+        message: banned ? 'User is already banned' : 'User is not banned',
+        statusCode: 409,
+      };
+    }
+
+    const previous = user.ban;
+    user.ban = banned ? { at: Date.now(), by, reason } : null;
+
+    try {
+      this.store.saveUser(user.toRecord());
+    } catch (error) {
+      user.ban = previous;
+      throw error;
+    }
+
+    return { success: true, user: user.getProfile(), statusCode: 200 };
+  }
+}
+
+module.exports = new UserService(getStore());
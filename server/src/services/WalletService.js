@@ -0,0 +1,193 @@
+const { v4: uuidv4 } = require('uuid');
+const Auction = require('../models/Auction');
+const PaymentProvider = require('./FakePaymentProvider');
+const { getStore } = require('../storage');
+const { MAX_AMOUNT } = require('../schemas/schema');
+const { formatMoney } = require('../utils/money');
+
+const RECENT_ENTRIES = 50;
+
+/*
+ * Each user's money, per currency. The balance is the sum of their ledger
+ * entries (deposits, purchases, sales), which are persisted. Holds are not:
+ * a hold is the leading bid on an auction that has not closed, so it is read
+ * off the auction. The write that accepts a bid therefore also moves the
+ * hold from the outbid leader to the new one, and a restart rebuilds every
+ * hold from the auctions it loads.
+ */
+class WalletService {
+  constructor(store, provider = PaymentProvider) {
+    this.store = store;
+    this.provider = provider;
+    // userId -> Map(currency -> balance)
+    this.balances = new Map();
+    this.entries = new Map();
+    // auctionId -> { userId, currency, amount }
+    this.holds = new Map();
+    // Auctions whose sale is already in the ledger.
+    this.settled = new Set();
+
+    this.store.loadLedger().forEach((entry) => this.apply(entry));
+  }
+
+  apply(entry) {
+    const balances = this.balances.get(entry.userId) || new Map();
+    balances.set(entry.currency, (balances.get(entry.currency) || 0) + entry.amount);
+    this.balances.set(entry.userId, balances);
+
+    const entries = this.entries.get(entry.userId) || [];
+    entries.push(entry);
+    this.entries.set(entry.userId, entries);
+
+    if (entry.auctionId) {
+      this.settled.add(entry.auctionId);
+    }
+  }
+
+  record(entries) {
+    const now = Date.now();
+    const stamped = entries.map((entry) => ({
+      id: uuidv4(),
+      auctionId: null,
+      paymentId: null,
+      timestamp: now,
+      ...entry,
+    }));
+
+    this.store.appendLedger(stamped);
+    stamped.forEach((entry) => this.apply(entry));
+    return stamped;
+  }
+
+  getBalance(userId, currency) {
+    return this.balances.get(userId)?.get(currency) || 0;
+  }
+
+  getHeld(userId, currency, exceptAuctionId = null) {
+    let held = 0;
+    this.holds.forEach((hold, auctionId) => {
+      if (hold.userId === userId && hold.currency === currency && auctionId !== exceptAuctionId) {
+        held += hold.amount;
+      }
+    });
+    return held;
+  }
+
+  getAvailable(userId, currency, exceptAuctionId = null) {
+    return this.getBalance(userId, currency) - this.getHeld(userId, currency, exceptAuctionId);
+  }
+
+  // What each user can pay on this auction. A new bid replaces their hold
+  // here rather than adding to it, so that hold counts as theirs to spend.
+  fundsFor(auction) {
+    return (userId) => this.getAvailable(userId, auction.currency, auction.id);
+  }
+
+  /*
+   * Brings the auction's hold in line with its state: the leader's bid stays
+   * held until the auction closes, when a sale turns the hold into a
+   * purchase by the winner and a sale for the seller. Runs after every
+   * change to an auction, so repeating it changes nothing.
+   */
+  track(auction) {
+    const hold = this.holds.get(auction.id);
+
+    if (auction.status === Auction.STATUS.CLOSED && auction.sold && hold) {
+      if (!this.settled.has(auction.id)) {
+        try {
+          this.settle(auction);
+        } catch (error) {
+          // The money stays held rather than being released unpaid.
+          console.error(`[Wallet] Failed to settle ${auction.id}:`, error);
+          return;
+        }
+      }
+      this.holds.delete(auction.id);
+      return;
+    }
+
+    if (!auction.isFinal() && auction.highestBidder) {
+      this.holds.set(auction.id, {
+        userId: auction.highestBidder,
+        currency: auction.currency,
+        amount: auction.currentBid,
+      });
+    } else {
+      this.holds.delete(auction.id);
+    }
+  }
+
+  settle(auction) {
+    const sale = { currency: auction.currency, auctionId: auction.id };
+
+    this.record([
+      { ...sale, type: 'purchase', userId: auction.winner, amount: -auction.finalPrice },
+      ...(auction.sellerId
+        ? [{ ...sale, type: 'sale', userId: auction.sellerId, amount: auction.finalPrice }]
+        : []),
+    ]);
+  }
+
+  async deposit(userId, amount, currency, source) {
+    if (this.getBalance(userId, currency) + amount > MAX_AMOUNT) {
+      return {
+        success: false,
+        message: `Balance cannot exceed ${formatMoney(MAX_AMOUNT, currency)}`,
+        statusCode: 409,
+      };
+    }
+
+    const payment = await this.provider.charge({ userId, amount, currency, source });
+    if (!payment.success) {
+      return {
+        success: false,
+        code: payment.code,
+        message: payment.message,
+        statusCode: 402,
+      };
+    }
+
+    const [entry] = this.record([
+      { type: 'deposit', userId, currency, amount, paymentId: payment.paymentId },
+    ]);
+
+    return { success: true, entry, wallet: this.getWallet(userId), statusCode: 201 };
+  }
+
+  getWallet(userId) {
+    const holds = Array.from(this.holds.entries())
+      .filter(([, hold]) => hold.userId === userId)
+      .map(([auctionId, { currency, amount }]) => ({ auctionId, currency, amount }));
+
+    const currencies = new Set([
+      ...(this.balances.get(userId)?.keys() || []),
+      ...holds.map((hold) => hold.currency),
+    ]);
+
+    return {
+      balances: Array.from(currencies)
+        .sort()
+        .map((currency) => ({
+          currency,
+          balance: this.getBalance(userId, currency),
+          held: this.getHeld(userId, currency),
+          available: this.getAvailable(userId, currency),
+        })),
+      holds,
+      entries: (this.entries.get(userId) || [])
+        .slice(-RECENT_ENTRIES)
+        .reverse()
+        .map(({ id, type, currency, amount, auctionId, timestamp }) => ({
+          id,
+          type,
+          currency,
+          amount,
+          auctionId,
+          timestamp,
+        })),
+    };
+  }
+}
+
+module.exports = new WalletService(getStore());
+module.exports.WalletService = WalletService;
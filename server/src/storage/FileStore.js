@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Append-only JSON-lines journal. Every write is fsync'd before returning so
+ * callers can broadcast a change knowing it will survive a crash. The journal
+ * is compacted into one line per user, auction and wallet ledger entry each
+ * time it is opened.
+ *
+ * Auction event logs go to a second file next to it (auctions.events.jsonl
+ * for auctions.jsonl) that is never compacted.
+ */
+class FileStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.records = new Map();
+    this.users = new Map();
+    this.events = new Map();
+    this.ledger = [];
+    this.eventsPath = this.filePath.replace(/(\.jsonl)?$/, '.events.jsonl');
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.replay();
+    this.compact();
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.loadEventLog();
+    this.eventsFd = fs.openSync(this.eventsPath, 'a');
+  }
+
+  static readLines(filePath, onEntry) {
+    if (!fs.existsSync(filePath)) return;
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A torn final line means the process died mid-write; the entry was
+        // never acknowledged, so it is safe to drop.
+        if (index >= lines.length - 2) return;
+        throw new Error(`Corrupt journal ${filePath} at line ${index + 1}`);
+      }
+
+      onEntry(entry);
+    });
+  }
+
+  replay() {
+    FileStore.readLines(this.filePath, (entry) => this.apply(entry));
+  }
+
+  loadEventLog() {
+    FileStore.readLines(this.eventsPath, (event) => {
+      const log = this.events.get(event.auctionId) || [];
+      log.push(event);
+      this.events.set(event.auctionId, log);
+    });
+  }
+
+  apply(entry) {
+    if (entry.op === 'put') {
+      this.records.set(entry.auction.id, entry.auction);
+    } else if (entry.op === 'user') {
+      this.users.set(entry.user.id, entry.user);
+    } else if (entry.op === 'ledger') {
+      this.ledger.push(...entry.entries);
+    } else if (entry.op === 'bid') {
+      const record = this.records.get(entry.auctionId);
+      if (record) {
+        Object.assign(record, entry.fields);
+        record.bidHistory.push(...(entry.entries || [entry.bid]));
+      }
+    }
+  }
+
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const body = [
+      ...Array.from(this.users.values()).map((user) =>
+        JSON.stringify({ op: 'user', user })
+      ),
+      ...Array.from(this.records.values()).map((auction) =>
+        JSON.stringify({ op: 'put', auction })
+      ),
+      ...this.ledger.map((ledgerEntry) =>
+        JSON.stringify({ op: 'ledger', entries: [ledgerEntry] })
+      ),
+    ].join('\n');
+
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, body ? `${body}\n` : '');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  write(entry) {
+    fs.writeSync(this.fd, `${JSON.stringify(entry)}\n`);
+    fs.fsyncSync(this.fd);
+    this.apply(JSON.parse(JSON.stringify(entry)));
+  }
+
+  loadAuctions() {
+    return Array.from(this.records.values()).map((record) =>
+      JSON.parse(JSON.stringify(record))
+    );
+  }
+
+  saveAuction(record) {
+    this.write({ op: 'put', auction: record });
+  }
+
+  appendBid(auctionId, entries, fields = {}) {
+    if (!this.records.has(auctionId)) {
+      throw new Error(`Cannot append bid to unknown auction ${auctionId}`);
+    }
+
+    this.write({ op: 'bid', auctionId, entries, fields });
+  }
+
+  appendEvents(auctionId, events) {
+    if (!this.records.has(auctionId)) {
+      throw new Error(`Cannot log events for unknown auction ${auctionId}`);
+    }
+
+    const log = this.events.get(auctionId) || [];
+    const stamped = events.map((event, index) => ({
+      seq: log.length + index + 1,
+      auctionId,
+      ...event,
+    }));
+
+    fs.writeSync(
+      this.eventsFd,
+      stamped.map((event) => `${JSON.stringify(event)}\n`).join('')
+    );
+    fs.fsyncSync(this.eventsFd);
+
+    log.push(...JSON.parse(JSON.stringify(stamped)));
+    this.events.set(auctionId, log);
+    return stamped;
+  }
+
+  // Sequence numbers start at 1 and have no gaps, so `after` is also an index.
+  loadEvents(auctionId, { after = 0, limit = Infinity } = {}) {
+    const log = this.events.get(auctionId) || [];
+    return JSON.parse(JSON.stringify(log.slice(after, after + limit)));
+  }
+
+  loadUsers() {
+    return Array.from(this.users.values()).map((user) =>
+      JSON.parse(JSON.stringify(user))
+    );
+  }
+
+  saveUser(record) {
+    this.write({ op: 'user', user: record });
+  }
+
+  loadLedger() {
+    return JSON.parse(JSON.stringify(this.ledger));
+  }
+
+  // Entries written together land in one journal line, so they survive a
+  // crash together or not at all.
+  appendLedger(entries) {
+    this.write({ op: 'ledger', entries });
+  }
+
+  close() {
+    if (this.fd !== undefined) {
+      fs.closeSync(this.fd);
+      fs.closeSync(this.eventsFd);
+      this.fd = undefined;
+      this.eventsFd = undefined;
+    }
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,71 @@
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+    this.users = new Map();
+    this.events = new Map();
+    this.ledger = [];
+  }
+
+  loadAuctions() {
+    return Array.from(this.records.values()).map(clone);
+  }
+
+  saveAuction(record) {
+    this.records.set(record.id, clone(record));
+  }
+
+  appendBid(auctionId, entries, fields = {}) {
+    const record = this.records.get(auctionId);
+    if (!record) {
+      throw new Error(`Cannot append bid to unknown auction ${auctionId}`);
+    }
+
+    Object.assign(record, clone(fields));
+    record.bidHistory.push(...clone(entries));
+  }
+
+  appendEvents(auctionId, events) {
+    if (!this.records.has(auctionId)) {
+      throw new Error(`Cannot log events for unknown auction ${auctionId}`);
+    }
+
+    const log = this.events.get(auctionId) || [];
+    this.events.set(auctionId, log);
+
+    const stamped = events.map((event, index) => ({
+      seq: log.length + index + 1,
+      auctionId,
+      ...clone(event),
+    }));
+    log.push(...stamped);
+    return clone(stamped);
+  }
+
+  // Sequence numbers start at 1 and have no gaps, so `after` is also an index.
+  loadEvents(auctionId, { after = 0, limit = Infinity } = {}) {
+    const log = this.events.get(auctionId) || [];
+    return clone(log.slice(after, after + limit));
+  }
+
+  loadUsers() {
+    return Array.from(this.users.values()).map(clone);
+  }
+
+  saveUser(record) {
+    this.users.set(record.id, clone(record));
+  }
+
+  loadLedger() {
+    return clone(this.ledger);
+  }
+
+  appendLedger(entries) {
+    this.ledger.push(...clone(entries));
+  }
+
+  close() {}
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,24 @@
+const MemoryStore = require('./MemoryStore');
+const FileStore = require('./FileStore');
+
+function createStore(driver = process.env.STORAGE_DRIVER || 'file') {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore(process.env.DATA_FILE || 'data/auctions.jsonl');
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+}
+
+let defaultStore = null;
+
+function getStore() {
+  if (!defaultStore) {
+    defaultStore = createStore();
+  }
+  return defaultStore;
+}
+
+module.exports = { createStore, getStore, MemoryStore, FileStore };
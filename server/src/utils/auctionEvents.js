@@ -0,0 +1,69 @@
+/*
+ * Every change to an auction is logged with the record fields it changed
+ * (`changes`) and the bid history entries it added (`entries`), so folding a
+ * log from its first event rebuilds the record without re-running any rules.
+ * Events that changed nothing, such as rejected bids, carry neither.
+ */
+
+function snapshotRecord(auction) {
+  const { bidHistory, ...fields } = auction.toRecord();
+  const serialized = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    serialized[key] = JSON.stringify(value);
+  });
+
+  return { fields: serialized, historyLength: bidHistory.length };
+}
+
+function diffRecord(before, auction) {
+  const { bidHistory, ...fields } = auction.toRecord();
+  const changes = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (JSON.stringify(value) !== before.fields[key]) {
+      changes[key] = value;
+    }
+  });
+
+  return { changes, entries: bidHistory.slice(before.historyLength) };
+}
+
+// The first event of every log carries the whole record.
+function fullRecordDelta(auction) {
+  const { bidHistory, ...changes } = auction.toRecord();
+  return { changes, entries: bidHistory };
+}
+
+function replayEvents(events) {
+  if (events.length === 0) {
+    return null;
+  }
+
+  return events.reduce(
+    (record, { changes, entries }) => {
+      if (changes) Object.assign(record, JSON.parse(JSON.stringify(changes)));
+      if (entries) record.bidHistory.push(...JSON.parse(JSON.stringify(entries)));
+      return record;
+    },
+    { bidHistory: [] }
+  );
+}
+
+// The event as a seller may read it. Maximum bids stay hidden from everyone
+// but admins: the seller can bid on their own auction too.
+function redactEvent(event) {
+  const redacted = { ...event };
+
+  if (event.changes && 'proxyBids' in event.changes) {
+    const { proxyBids, ...changes } = event.changes;
+    redacted.changes = changes;
+  }
+
+  if (event.data && 'maxAmount' in event.data) {
+    const { maxAmount, ...data } = event.data;
+    redacted.data = data;
+  }
+
+  return redacted;
+}
+
+module.exports = { snapshotRecord, diffRecord, fullRecordDelta, replayEvents, redactEvent };
@@ -0,0 +1,99 @@
+// Filtering, sorting and cursor pagination for GET /items, over auction
+// states from Auction#getState.
+
+const ENDING_SOON_WINDOW = 5 * 60 * 1000;
+
+const STATUS_FILTERS = {
+  live: (auction) => ['live', 'paused', 'closing'].includes(auction.status),
+  ending_soon: (auction, now) =>
+    auction.status === 'live' && auction.endTime - now <= ENDING_SOON_WINDOW,
+  upcoming: (auction) => auction.status === 'scheduled',
+  ended: (auction) => auction.status === 'closed',
+};
+
+// Each sort reads one numeric key; ties are broken by id so the order, and
+// with it the cursor, is total.
+const SORTS = {
+  ending: { key: (auction) => auction.endTime, order: 'asc' },
+  price: { key: (auction) => auction.currentBid, order: 'asc' },
+  bids: { key: (auction) => auction.bidCount, order: 'desc' },
+};
+
+const encodeCursor = (key, id) =>
+  Buffer.from(JSON.stringify([key, id])).toString('base64url');
+
+// Returns null for anything that is not a cursor this module wrote.
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Array.isArray(value) &&
+      value.length === 2 &&
+      Number.isFinite(value[0]) &&
+      typeof value[1] === 'string'
+      ? { key: value[0], id: value[1] }
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const terms = (text) => text.toLowerCase().split(/\s+/).filter(Boolean);
+
+function matches(auction, query, now) {
+  if (auction.status === 'cancelled') return false;
+
+  if (query.q) {
+    const haystack = `${auction.title} ${auction.description || ''}`.toLowerCase();
+    if (!terms(query.q).every((term) => haystack.includes(term))) return false;
+  }
+
+  if (query.category && !query.category.includes(auction.category)) return false;
+  if (query.status && !STATUS_FILTERS[query.status](auction, now)) return false;
+  if (query.seller && auction.sellerId !== query.seller) return false;
+  if (query.currency && auction.currency !== query.currency) return false;
+  if (query.minPrice != null && auction.currentBid < query.minPrice) return false;
+  if (query.maxPrice != null && auction.currentBid > query.maxPrice) return false;
+
+  return true;
+}
+
+/*
+ * Returns one page of matching auctions and the cursor for the next. The
+ * cursor holds the sort key and id of the last item returned, so pages stay
+ * consistent while auctions are added or removed between requests; an
+ * auction whose key changes (a new bid, an extension) may move across the
+ * cursor and show up twice or not at all.
+ */
+function queryAuctions(auctions, query, now = Date.now()) {
+  const sort = SORTS[query.sort || 'ending'];
+  const direction = (query.order || sort.order) === 'asc' ? 1 : -1;
+  const compareKeys = (keyA, idA, keyB, idB) =>
+    direction * (keyA - keyB) || (idA < idB ? -1 : idA > idB ? 1 : 0);
+  const compare = (a, b) => compareKeys(sort.key(a), a.id, sort.key(b), b.id);
+
+  const matching = auctions.filter((auction) => matches(auction, query, now)).sort(compare);
+  const start = query.cursor
+    ? matching.findIndex(
+        (auction) => compareKeys(sort.key(auction), auction.id, query.cursor.key, query.cursor.id) > 0
+      )
+    : 0;
+  const page = start === -1 ? [] : matching.slice(start, start + query.limit);
+  const hasMore = start !== -1 && start + query.limit < matching.length;
+  const last = page[page.length - 1];
+
+  return {
+    items: page,
+    total: matching.length,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sort.key(last), last.id) : null,
+  };
+}
+
+module.exports = {
+  queryAuctions,
+  decodeCursor,
+  encodeCursor,
+  STATUS_FILTERS,
+  SORTS,
+  ENDING_SOON_WINDOW,
+};
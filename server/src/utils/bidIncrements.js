@@ -0,0 +1,108 @@
+const { DEFAULT_CURRENCY, minorUnitFactor } = require('./money');
+
+// Each tier applies while the current price is below `below`; the last tier
+// has no bound. These defaults are in major units and are scaled to the
+// auction's currency by incrementTableFor.
+const DEFAULT_INCREMENT_TABLE = [
+  { below: 100, increment: 5 },
+  { below: 1000, increment: 25 },
+  { below: null, increment: 100 },
+];
+
+const CATEGORY_INCREMENT_TABLES = {
+  art: [
+    { below: 1000, increment: 50 },
+    { below: 10000, increment: 250 },
+    { below: null, increment: 1000 },
+  ],
+  electronics: [
+    { below: 50, increment: 2 },
+    { below: 500, increment: 10 },
+    { below: null, increment: 50 },
+  ],
+};
+
+const MAX_TIERS = 20;
+
+const flatIncrementTable = (increment) => [{ below: null, increment }];
+
+const scaleIncrementTable = (table, factor) =>
+  table.map(({ below, increment }) => ({
+    below: below == null ? null : Math.round(below * factor),
+    increment: Math.round(increment * factor),
+  }));
+
+const scaledTables = new Map();
+
+function incrementTableFor(category, currency = DEFAULT_CURRENCY) {
+  const key = `${currency}:${category}`;
+  if (!scaledTables.has(key)) {
+    scaledTables.set(
+      key,
+      scaleIncrementTable(
+        CATEGORY_INCREMENT_TABLES[category] || DEFAULT_INCREMENT_TABLE,
+        minorUnitFactor(currency)
+      )
+    );
+  }
+  return scaledTables.get(key);
+}
+
+function getIncrement(table, price) {
+  const tier = table.find((t) => t.below == null || price < t.below);
+  return tier.increment;
+}
+
+function validateIncrementTable(table) {
+  if (!Array.isArray(table) || table.length === 0 || table.length > MAX_TIERS) {
+    return [`incrementTable must be an array of 1 to ${MAX_TIERS} tiers`];
+  }
+
+  const errors = [];
+  let previousBound = -Infinity;
+
+  table.forEach((tier, index) => {
+    const isLast = index === table.length - 1;
+
+    if (!tier || typeof tier !== 'object') {
+      errors.push(`incrementTable[${index}] must be an object`);
+      return;
+    }
+
+    if (!Number.isSafeInteger(tier.increment) || tier.increment <= 0) {
+      errors.push(`incrementTable[${index}].increment must be a positive integer`);
+    }
+
+    if (isLast) {
+      if (tier.below != null) {
+        errors.push('the last incrementTable tier must not have a `below` bound');
+      }
+    } else if (!Number.isSafeInteger(tier.below) || tier.below <= previousBound) {
+      errors.push(
+        `incrementTable[${index}].below must be an integer above the previous tier`
+      );
+    } else {
+      previousBound = tier.below;
+    }
+  });
+
+  return errors;
+}
+
+function normalizeIncrementTable(table) {
+  return table.map((tier, index) => ({
+    below: index === table.length - 1 ? null : tier.below,
+    increment: tier.increment,
+  }));
+}
+
+module.exports = {
+  DEFAULT_INCREMENT_TABLE,
+  CATEGORY_INCREMENT_TABLES,
+  flatIncrementTable,
+  scaleIncrementTable,
+  incrementTableFor,
+  getIncrement,
+  validateIncrementTable,
+  normalizeIncrementTable,
+};
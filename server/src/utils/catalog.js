@@ -0,0 +1,25 @@
+/*
+ * What sellers can say about an item beyond its title. Keys are stored on
+ * auctions and used in queries; labels are for display.
+ */
+const CATEGORIES = {
+  art: 'Art',
+  electronics: 'Electronics',
+  collectibles: 'Collectibles',
+  fashion: 'Fashion',
+  jewelry: 'Jewelry & watches',
+  books: 'Books',
+  home: 'Home & garden',
+  sports: 'Sports',
+  other: 'Other',
+};
+
+const CONDITIONS = {
+  new: 'New',
+  like_new: 'Like new',
+  good: 'Good',
+  fair: 'Fair',
+  for_parts: 'For parts',
+};
+
+module.exports = { CATEGORIES, CONDITIONS };
@@ -0,0 +1,11 @@
+// Uploaded images are stored as <id>.webp with a <id>-thumb.webp thumbnail
+// and served under /uploads.
+const IMAGE_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const imageUrls = (id) => ({
+  id,
+  url: `/uploads/${id}.webp`,
+  thumbnailUrl: `/uploads/${id}-thumb.webp`,
+});
+
+module.exports = { IMAGE_ID_PATTERN, imageUrls };
@@ -0,0 +1,43 @@
+/*
+ * Amounts are integers in the currency's minor unit (cents for USD, yen for
+ * JPY). CURRENCIES maps each ISO 4217 code we sell in to its number of minor
+ * unit digits.
+ */
+const CURRENCIES = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CAD: 2,
+  AUD: 2,
+  CHF: 2,
+  JPY: 0,
+  KRW: 0,
+  BHD: 3,
+};
+
+const DEFAULT_CURRENCY = 'USD';
+
+const isCurrency = (code) => Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+
+const minorUnitFactor = (currency) => 10 ** CURRENCIES[currency];
+
+const formatters = new Map();
+
+// Server messages are formatted for en-US; clients format with their own locale.
+function formatMoney(amount, currency) {
+  if (!formatters.has(currency)) {
+    formatters.set(
+      currency,
+      new Intl.NumberFormat('en-US', { style: 'currency', currency })
+    );
+  }
+  return formatters.get(currency).format(amount / minorUnitFactor(currency));
+}
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  isCurrency,
+  minorUnitFactor,
+  formatMoney,
+};
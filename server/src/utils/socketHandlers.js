@@ -1,25 +1,139 @@
 const AuctionService = require('../services/AuctionService');
+const { SUMMARY_ROOM } = require('../services/PriceTicker');
+const { formatMoney } = require('./money');
 
-function initializeSocketHandlers(io, socket) {
-  const userId = socket.handshake.query.userId || socket.id;
+// What the client hears when a service call throws, so its pending bid or
+// maximum is still answered.
+const SERVER_ERROR = {
+  success: false,
+  code: 'SERVER_ERROR',
+  message: 'Something went wrong, please try again',
+};
+
+/*
+ * Clients only ever see bidders by their per-auction handle. The leader's
+ * sockets, through their user room, get `leaderPayload` instead, so they can
+ * tell the lead is theirs; `room` narrows the rest to one room.
+ */
+function emitByLeader(io, room, leaderId, event, payload, leaderPayload) {
+  const everyone = room ? io.to(room) : io;
+
+  if (!leaderId) {
+    everyone.emit(event, payload);
+    return;
+  }
+
+  everyone.except(`user:${leaderId}`).emit(event, payload);
+  io.to(`user:${leaderId}`).emit(event, leaderPayload);
+}
+
+// Announces an auction's state to every client; `build` wraps the state,
+// which differs for the leader, in the rest of the payload.
+function broadcastAuction(io, event, auctionId, build, auctionService = AuctionService) {
+  const leaderId = auctionService.getLeader(auctionId);
+
+  emitByLeader(
+    io,
+    null,
+    leaderId,
+    event,
+    build(auctionService.getAuction(auctionId)),
+    leaderId && build(auctionService.getAuction(auctionId, leaderId))
+  );
+}
+
+function broadcastBidResult(io, auctionId, result) {
+  if (!result.historyEntries.some((entry) => entry.type === 'bid')) {
+    return;
+  }
+
+  const update = {
+    auctionId,
+    currency: result.currency,
+    newBid: result.newBid,
+    leaderHandle: result.leaderHandle,
+    previousLeaderHandle: result.previousLeaderHandle,
+    previousBid: result.previousBid,
+    endTime: result.endTime,
+    extended: Boolean(result.extension),
+    reserveMet: result.reserveMet,
+    minBidIncrement: result.minBidIncrement,
+    minimumNextBid: result.minimumNextBid,
+    boughtNow: Boolean(result.boughtNow),
+    bids: result.bids,
+    timestamp: Date.now(),
+  };
+
+  emitByLeader(
+    io,
+    `auction:${auctionId}`,
+    result.highestBidder,
+    'BID_UPDATE',
+    { ...update, youAreLeading: false },
+    { ...update, youAreLeading: true }
+  );
+
+  result.outbidUsers.forEach((outbidUserId) => {
+    io.to(`user:${outbidUserId}`).emit('OUTBID', {
+      auctionId,
+      currency: result.currency,
+      newBid: result.newBid,
+      outbidBy: result.leaderHandle,
+      timestamp: Date.now(),
+    });
+  });
+}
+
+// Watcher counts go straight to the admin console and to open detail pages;
+// grid cards get them batched in PRICE_TICKS rather than on every join and
+// leave.
+function broadcastWatchers(io, auctionId, event, totalUsers) {
+  io.to('admins').to(detailRoom(auctionId)).emit(event, { auctionId, totalUsers });
+}
+
+const detailRoom = (auctionId) => `detail:${auctionId}`;
+
+function initializeSocketHandlers(io, socket, auctionService = AuctionService) {
+  const { id: userId, role } = socket.data.user;
   const userSocketId = socket.id;
 
+  // Every tab or device the user has open shares this room, so personal
+  // events like OUTBID reach all of them.
+  socket.join(`user:${userId}`);
+  if (role === 'admin') {
+    socket.join('admins');
+  }
+
   console.log(`[Socket] User ${userId} connected (${userSocketId})`);
 
+  // Payloads reach these handlers already checked and normalized by
+  // validateSocketEvents.
   socket.on('JOIN_AUCTION', (auctionId) => {
-    socket.join(`auction:${auctionId}`);
-    const auctionState = AuctionService.getAuction(auctionId);
+    const auctionState = auctionService.getAuction(auctionId, userId);
 
-    if (auctionState) {
+    // Cards join as they scroll into view, so repeats are common and cheap.
+    if (auctionState && !socket.rooms.has(`auction:${auctionId}`)) {
+      socket.join(`auction:${auctionId}`);
       socket.emit('AUCTION_STATE', {
         auction: auctionState,
         serverTime: Date.now(),
       });
 
-      io.to(`auction:${auctionId}`).emit('USER_JOINED', {
+      const maxAmount = auctionService.getMaxBid(auctionId, userId);
+      if (maxAmount !== null) {
+        socket.emit('MAX_BID_UPDATE', {
+          auctionId,
+          maxAmount,
+          currency: auctionState.currency,
+        });
+      }
+
+      broadcastWatchers(
+        io,
         auctionId,
-        totalUsers: io.sockets.adapter.rooms.get(`auction:${auctionId}`).size,
-      });
+        'USER_JOINED',
+        io.sockets.adapter.rooms.get(`auction:${auctionId}`).size
+      );
 
       console.log(
         `[Socket] User ${userId} joined auction ${auctionId}`
@@ -28,55 +142,111 @@ function initializeSocketHandlers(io, socket) {
   });
 
   socket.on('LEAVE_AUCTION', (auctionId) => {
+    if (!socket.rooms.has(`auction:${auctionId}`)) return;
+
     socket.leave(`auction:${auctionId}`);
-    io.to(`auction:${auctionId}`).emit('USER_LEFT', {
+    broadcastWatchers(
+      io,
       auctionId,
-      totalUsers: io.sockets.adapter.rooms.get(`auction:${auctionId}`)?.size || 0,
-    });
+      'USER_LEFT',
+      io.sockets.adapter.rooms.get(`auction:${auctionId}`)?.size || 0
+    );
     console.log(`[Socket] User ${userId} left auction ${auctionId}`);
   });
 
-  socket.on('BID_PLACED', (data) => {
-    const { auctionId, amount } = data;
-
-    const result = AuctionService.placeBid(auctionId, userId, amount);
+  // Detail pages follow an auction's watcher count as it changes; the ack
+  // carries the count now.
+  socket.on('SUBSCRIBE_DETAIL', (auctionId, ack) => {
+    if (!auctionService.getAuction(auctionId)) return;
 
-    if (result.success) {
-      io.to(`auction:${auctionId}`).emit('BID_UPDATE', {
+    socket.join(detailRoom(auctionId));
+    if (typeof ack === 'function') {
+      ack({
         auctionId,
-        newBid: result.newBid,
-        highestBidder: result.highestBidder,
-        previousBidder: result.previousBidder,
-        previousBid: result.previousBid,
-        timestamp: Date.now(),
+        totalUsers: io.sockets.adapter.rooms.get(`auction:${auctionId}`)?.size || 0,
       });
+    }
+  });
 
-      socket.emit('BID_SUCCESS', {
-        auctionId,
-        message: 'Your bid was accepted!',
-        newBid: result.newBid,
-      });
+  socket.on('UNSUBSCRIBE_DETAIL', (auctionId) => {
+    socket.leave(detailRoom(auctionId));
+  });
 
-      console.log(
-        `[Bid] User ${userId} bid $${amount} on auction ${auctionId}`
-      );
+  socket.on('SUBSCRIBE_SUMMARY', () => {
+    socket.join(SUMMARY_ROOM);
+  });
+
+  socket.on('UNSUBSCRIBE_SUMMARY', () => {
+    socket.leave(SUMMARY_ROOM);
+  });
+
+  socket.on('BID_PLACED', async (data, ack) => {
+    const { auctionId, amount, currency, bidId } = data;
+    const respond = typeof ack === 'function' ? ack : null;
+
+    let result;
+    try {
+      result = await auctionService.placeBid(auctionId, userId, amount, bidId ?? null, currency);
+    } catch (error) {
+      console.error(`[Bid] Error placing bid on ${auctionId}:`, error);
+      result = SERVER_ERROR;
+    }
+
+    if (result.success) {
+      // A replayed bid was already announced when it first landed.
+      if (!result.duplicate) {
+        broadcastBidResult(io, auctionId, result);
+      }
 
-      if (result.previousBidder && result.previousBidder !== userId) {
-        io.to(`user:${result.previousBidder}`).emit('OUTBID', {
+      const youAreLeading = result.highestBidder === userId;
+      const message =
+        youAreLeading && !result.boughtNow ? 'Your bid was accepted!' : result.message;
+
+      if (respond) {
+        respond({
+          bidId,
+          auctionId,
+          status: 'accepted',
+          duplicate: Boolean(result.duplicate),
+          message,
+          amount,
+          currency: result.currency,
+          newBid: result.newBid,
+          youAreLeading,
+          minimumNextBid: result.minimumNextBid,
+        });
+      } else {
+        socket.emit('BID_SUCCESS', {
           auctionId,
+          message,
           newBid: result.newBid,
-          outbidBy: userId,
-          timestamp: Date.now(),
+          youAreLeading,
         });
       }
+
+      console.log(
+        `[Bid] User ${userId} bid ${formatMoney(amount, result.currency)} on auction ${auctionId}`
+      );
     } else {
-      socket.emit('BID_ERROR', {
+      const rejection = {
+        bidId,
         auctionId,
+        status: 'rejected',
+        duplicate: Boolean(result.duplicate),
+        code: result.code,
         message: result.message,
+        amount,
+        currency: result.currency ?? currency,
         currentBid: result.currentBid,
         minimumBid: result.minimumBid,
         timestamp: Date.now(),
-      });
+      };
+
+      if (respond) {
+        respond(rejection);
+      } else {
+        socket.emit('BID_ERROR', rejection);
+      }
 
       console.log(
         `[Bid] User ${userId} failed to bid on ${auctionId}: ${result.message}`
@@ -84,6 +254,67 @@ function initializeSocketHandlers(io, socket) {
     }
   });
 
+  socket.on('SET_MAX_BID', async (data) => {
+    const { auctionId, maxAmount, currency } = data;
+
+    let result;
+    try {
+      result = await auctionService.setMaxBid(auctionId, userId, maxAmount, currency);
+    } catch (error) {
+      console.error(`[Bid] Error setting a maximum bid on ${auctionId}:`, error);
+      result = SERVER_ERROR;
+    }
+
+    if (result.success) {
+      broadcastBidResult(io, auctionId, result);
+
+      io.to(`user:${userId}`).emit('MAX_BID_UPDATE', {
+        auctionId,
+        maxAmount: result.maxAmount,
+        currency: result.currency,
+      });
+
+      console.log(`[Bid] User ${userId} set a maximum bid on ${auctionId}`);
+    } else {
+      socket.emit('MAX_BID_ERROR', {
+        auctionId,
+        code: result.code,
+        message: result.message,
+        currency: result.currency ?? currency,
+        minimumBid: result.minimumBid,
+        timestamp: Date.now(),
+      });
+    }
+  });
+
+  socket.on('CANCEL_MAX_BID', async (data) => {
+    const { auctionId } = data;
+
+    let result;
+    try {
+      result = await auctionService.cancelMaxBid(auctionId, userId);
+    } catch (error) {
+      console.error(`[Bid] Error cancelling a maximum bid on ${auctionId}:`, error);
+      result = SERVER_ERROR;
+    }
+
+    if (result.success) {
+      io.to(`user:${userId}`).emit('MAX_BID_UPDATE', {
+        auctionId,
+        maxAmount: null,
+      });
+
+      console.log(`[Bid] User ${userId} cancelled a maximum bid on ${auctionId}`);
+    } else {
+      socket.emit('MAX_BID_ERROR', {
+        auctionId,
+        code: result.code,
+        message: result.message,
+        timestamp: Date.now(),
+      });
+    }
+  });
+
   socket.on('HEARTBEAT', (clientData) => {
     socket.emit('HEARTBEAT_ACK', {
       serverTime: Date.now(),
@@ -92,13 +323,28 @@ function initializeSocketHandlers(io, socket) {
   });
 
   socket.on('GET_AUCTION_STATE', (auctionId) => {
-    const auctionState = AuctionService.getAuction(auctionId);
+    const auctionState = auctionService.getAuction(auctionId, userId);
     socket.emit('AUCTION_STATE', {
       auction: auctionState,
       serverTime: Date.now(),
     });
   });
 
+  socket.on('disconnecting', () => {
+    socket.rooms.forEach((room) => {
+      if (room.startsWith('auction:')) {
+        const auctionId = room.slice('auction:'.length);
+        // The socket is still counted until it has fully disconnected.
+        broadcastWatchers(
+          io,
+          auctionId,
+          'USER_LEFT',
+          io.sockets.adapter.rooms.get(room).size - 1
+        );
+      }
+    });
+  });
+
   socket.on('disconnect', (reason) => {
     console.log(`[Socket] User ${userId} disconnected: ${reason}`);
   });
@@ -108,4 +354,4 @@ function initializeSocketHandlers(io, socket) {
   });
 }
 
-module.exports = { initializeSocketHandlers };
+module.exports = { initializeSocketHandlers, broadcastAuction };
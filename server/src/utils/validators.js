@@ -0,0 +1,26 @@
+const { validate, auctionInput } = require('../schemas');
+
+function validateAuctionInput(input, { partial = false } = {}) {
+  const { value, errors } = validate(auctionInput, input, { partial });
+  return { errors, data: value || {} };
+}
+
+function validatePricing({ startingPrice, reservePrice, buyNowPrice }) {
+  const errors = [];
+
+  if (reservePrice != null && reservePrice < startingPrice) {
+    errors.push('reservePrice must be at least startingPrice');
+  }
+
+  if (buyNowPrice != null && buyNowPrice <= startingPrice) {
+    errors.push('buyNowPrice must be above startingPrice');
+  }
+
+  if (buyNowPrice != null && reservePrice != null && buyNowPrice < reservePrice) {
+    errors.push('buyNowPrice must be at least reservePrice');
+  }
+
+  return errors;
+}
+
+module.exports = { validateAuctionInput, validatePricing };
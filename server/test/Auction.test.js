@@ -0,0 +1,87 @@
+const Auction = require('../src/models/Auction');
+
+const createAuction = () =>
+  new Auction('auction-1', 'Lamp', 10000, 60 * 60 * 1000, { minBidIncrement: 1000 });
+
+const indexOf = (auction, userId, amount) =>
+  auction.bidHistory.findIndex(
+    (entry) => entry.type === 'bid' && entry.userId === userId && entry.amount === amount
+  );
+
+const standing = (auction) =>
+  auction.standingBids().map(({ userId, amount }) => [userId, amount]);
+
+describe('Auction.voidBid', () => {
+  test('brings an automatic bid raised only to beat the voided bid back down', () => {
+    const auction = createAuction();
+    auction.placeBid('alice', 11000);
+    auction.setProxyBid('bob', 50000);
+    auction.placeBid('carol', 20000);
+    expect(auction.currentBid).toBe(21000);
+
+    const result = auction.voidBid(indexOf(auction, 'carol', 20000), 'admin');
+
+    expect(result).toMatchObject({ success: true, newBid: 12000, highestBidder: 'bob' });
+    expect(auction.getProxyBid('bob')).toBe(50000);
+    // Bob's automatic bid at 12000 still stands, so it is not placed again;
+    // the one at 21000 goes with Carol's.
+    expect(standing(auction)).toEqual([
+      ['alice', 11000],
+      ['bob', 12000],
+    ]);
+    expect(auction.bidHistory[auction.bidHistory.length - 1]).toMatchObject({
+      type: 'void',
+      bidIndex: indexOf(auction, 'bob', 21000),
+      cause: indexOf(auction, 'carol', 20000),
+    });
+  });
+
+  test('lets maximums bid again from the restored price', () => {
+    const auction = createAuction();
+    auction.placeBid('alice', 11000);
+    auction.setProxyBid('bob', 50000);
+
+    auction.voidBid(indexOf(auction, 'alice', 11000), 'admin');
+
+    expect(auction.currentBid).toBe(11000);
+    expect(auction.highestBidder).toBe('bob');
+    expect(standing(auction)).toEqual([['bob', 11000]]);
+    expect(auction.bidHistory[auction.bidHistory.length - 1]).toMatchObject({ auto: true });
+  });
+
+  test('drops the maximum behind a voided automatic bid', () => {
+    const auction = createAuction();
+    auction.placeBid('alice', 11000);
+    auction.setProxyBid('bob', 50000);
+
+    const result = auction.voidBid(indexOf(auction, 'bob', 12000), 'admin');
+
+    expect(result).toMatchObject({ droppedMaxBid: 'bob', newBid: 11000, highestBidder: 'alice' });
+    expect(auction.getProxyBid('bob')).toBeNull();
+  });
+
+  test('skips standing bids their bidder can no longer pay', () => {
+    const auction = createAuction();
+    auction.placeBid('alice', 11000);
+    auction.placeBid('dave', 15000);
+    auction.placeBid('carol', 20000);
+
+    const balances = { alice: 20000, dave: 14000 };
+    auction.voidBid(indexOf(auction, 'carol', 20000), 'admin', null, (userId) => balances[userId]);
+
+    expect(auction.currentBid).toBe(11000);
+    expect(auction.highestBidder).toBe('alice');
+    expect(standing(auction)).toEqual([['alice', 11000]]);
+  });
+
+  test('falls back to the starting price when nobody left can pay', () => {
+    const auction = createAuction();
+    auction.placeBid('alice', 11000);
+    auction.placeBid('carol', 20000);
+
+    auction.voidBid(indexOf(auction, 'carol', 20000), 'admin', null, () => 0);
+
+    expect(auction.currentBid).toBe(10000);
+    expect(auction.highestBidder).toBeNull();
+  });
+});
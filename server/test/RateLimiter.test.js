@@ -0,0 +1,59 @@
+const { RateLimiter, DEFAULT_LIMITS, loadLimits } = require('../src/services/RateLimiter');
+
+describe('RateLimiter', () => {
+  const limits = { test: { user: { capacity: 2, refillPerSecond: 1 } } };
+  const caller = { user: 'user-1' };
+
+  test('refills tokens over time up to the capacity', () => {
+    const limiter = new RateLimiter(limits);
+
+    expect(limiter.consume('test', caller, null, 0).allowed).toBe(true);
+    expect(limiter.consume('test', caller, null, 0).allowed).toBe(true);
+    expect(limiter.consume('test', caller, null, 0)).toEqual({ allowed: false, retryAfter: 1000 });
+    expect(limiter.consume('test', caller, null, 500)).toEqual({ allowed: false, retryAfter: 500 });
+
+    expect(limiter.consume('test', caller, null, 1000).allowed).toBe(true);
+    expect(limiter.consume('test', caller, null, 1000).allowed).toBe(false);
+
+    expect(limiter.consume('test', caller, null, 60000).allowed).toBe(true);
+    expect(limiter.consume('test', caller, null, 60000).allowed).toBe(true);
+    expect(limiter.consume('test', caller, null, 60000).allowed).toBe(false);
+  });
+
+  test('keeps a bucket per caller', () => {
+    const limiter = new RateLimiter(limits);
+
+    limiter.consume('test', caller, null, 0);
+    limiter.consume('test', caller, null, 0);
+
+    expect(limiter.consume('test', caller, null, 0).allowed).toBe(false);
+    expect(limiter.consume('test', { user: 'user-2' }, null, 0).allowed).toBe(true);
+  });
+
+  test('bans a caller once violations reach the threshold within the window', () => {
+    const limiter = new RateLimiter(limits, { banThreshold: 3, banWindow: 1000, banDuration: 5000 });
+
+    expect(limiter.recordViolation(caller, 0)).toBe(0);
+    expect(limiter.recordViolation(caller, 500)).toBe(0);
+    // The first violation has left the window by now.
+    expect(limiter.recordViolation(caller, 1050)).toBe(0);
+    expect(limiter.recordViolation(caller, 1100)).toBe(5000);
+
+    expect(limiter.banRemaining(caller, 2100)).toBe(4000);
+    expect(limiter.banRemaining({ user: 'user-2' }, 2100)).toBe(0);
+    expect(limiter.banRemaining(caller, 6100)).toBe(0);
+  });
+
+  test('merges RATE_LIMITS overrides into the defaults', () => {
+    expect(loadLimits('')).toBe(DEFAULT_LIMITS);
+
+    const limits = loadLimits('{"BID_PLACED":{"user":{"capacity":20,"refillPerSecond":10}}}');
+    expect(limits.BID_PLACED.user).toEqual({ capacity: 20, refillPerSecond: 10 });
+    expect(limits.BID_PLACED.ip).toEqual(DEFAULT_LIMITS.BID_PLACED.ip);
+  });
+
+  test('names RATE_LIMITS when it cannot be read', () => {
+    expect(() => loadLimits('{capacity: 20}')).toThrow(/^RATE_LIMITS is not valid JSON/);
+    expect(() => loadLimits('[]')).toThrow(/^RATE_LIMITS must be a JSON object/);
+  });
+});
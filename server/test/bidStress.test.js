@@ -0,0 +1,89 @@
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), 'auctionmania-test-uploads');
+process.env.JWT_SECRET = 'test-secret';
+// High enough that the limiter never turns a bid away during the run; every
+// client shares one IP.
+process.env.RATE_LIMITS = JSON.stringify({
+  BID_PLACED: {
+    user: { capacity: 1000, refillPerSecond: 1000 },
+    ip: { capacity: 10000, refillPerSecond: 10000 },
+  },
+  socket: { user: { capacity: 1000, refillPerSecond: 1000 } },
+});
+
+const { createServer } = require('../src/index');
+const AuctionService = require('../src/services/AuctionService');
+const UserService = require('../src/services/UserService');
+const WalletService = require('../src/services/WalletService');
+const { listen, connect, emitWithAck } = require('./helpers');
+
+const USERS = 40;
+const BIDS_PER_USER = 50;
+const STEP = 10000;
+
+describe('concurrent BID_PLACED', () => {
+  let io;
+  let url;
+  const sockets = [];
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const instance = createServer();
+    io = instance.io;
+    url = await listen(instance.server);
+  });
+
+  afterAll(() => {
+    sockets.forEach((socket) => socket.close());
+    io.close();
+    jest.restoreAllMocks();
+  });
+
+  test('accepts bids in order and answers each one once', async () => {
+    const auction = AuctionService.getAllAuctions().find(({ title }) => title === 'Vintage Camera');
+    const total = USERS * BIDS_PER_USER;
+    const top = auction.currentBid + total * STEP;
+
+    for (let index = 0; index < USERS; index++) {
+      const { user, token } = UserService.register(`stress_${index}`, 'password123');
+      await WalletService.deposit(user.id, top, 'USD');
+      sockets.push(await connect(url, token));
+    }
+
+    // Every amount clears the increment over any lower one. Each user's bids
+    // go up, and how they interleave with everyone else's is left to the race.
+    const bids = Array.from({ length: total }, (_, index) => ({
+      socket: sockets[index % USERS],
+      bidId: `stress-${index}`,
+      amount: auction.currentBid + (index + 1) * STEP,
+    }));
+
+    const acks = await Promise.all(
+      bids.map(({ socket, bidId, amount }) =>
+        emitWithAck(socket, 'BID_PLACED', { auctionId: auction.id, amount, currency: 'USD', bidId })
+      )
+    );
+
+    expect(acks.map(({ bidId }) => bidId).sort()).toEqual(bids.map(({ bidId }) => bidId).sort());
+    acks.forEach((ack) => {
+      expect(['accepted', 'rejected']).toContain(ack.status);
+      expect(ack.duplicate).toBe(false);
+      expect(ack.code).not.toBe('RATE_LIMITED');
+    });
+
+    expect(AuctionService.getAuction(auction.id).currentBid).toBe(top);
+
+    const history = AuctionService.getBidHistory(auction.id).filter(({ type }) => type === 'bid');
+    history.slice(1).forEach((entry, index) => {
+      expect(entry.amount).toBeGreaterThan(history[index].amount);
+    });
+
+    const accepted = acks.filter(({ status }) => status === 'accepted').map(({ bidId }) => bidId);
+    expect(history.map(({ bidId }) => bidId).sort()).toEqual(accepted.sort());
+
+    expect(AuctionService.getQueueMetrics()).toMatchObject({ activeQueues: 0, pending: 0 });
+  }, 60000);
+});
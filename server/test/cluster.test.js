@@ -0,0 +1,86 @@
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), 'auctionmania-test-uploads');
+process.env.JWT_SECRET = 'test-secret';
+
+const { createCluster } = require('../src/cluster');
+const { createStore } = require('../src/storage');
+const { AuctionService } = require('../src/services/AuctionService');
+const WalletService = require('../src/services/WalletService');
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+async function startCluster(size) {
+  const { coordinator } = createCluster('memory');
+  const store = createStore('memory');
+  const instances = Array.from({ length: size }, () => new AuctionService(store, coordinator));
+  await Promise.all(instances.map((instance) => instance.ready));
+  await settle();
+  return { coordinator, store, instances };
+}
+
+describe('in-process cluster', () => {
+  test('instances joining a new cluster seed the sample auctions once', async () => {
+    const { coordinator, store, instances } = await startCluster(2);
+
+    const shared = await coordinator.list();
+    expect(shared).toHaveLength(6);
+    expect(new Set(shared.map(({ record }) => record.title)).size).toBe(6);
+
+    instances.forEach((instance) => {
+      expect(instance.getAllAuctions().map(({ id }) => id).sort()).toEqual(
+        shared.map(({ record }) => record.id).sort()
+      );
+    });
+
+    shared.forEach(({ record }) => {
+      const created = store.loadEvents(record.id).filter(({ type }) => type === 'auction.created');
+      expect(created).toHaveLength(1);
+    });
+  });
+
+  test('concurrent bids on different instances settle on one history', async () => {
+    const { coordinator, instances } = await startCluster(2);
+    const auction = instances[0].getAllAuctions().find(({ currency }) => currency === 'USD');
+
+    const bids = Array.from({ length: 40 }, (_, index) => ({
+      userId: `cluster-bidder-${index}`,
+      amount: auction.currentBid + (index + 1) * 10000,
+    }));
+
+    for (const { userId } of bids) {
+      await WalletService.deposit(userId, 10000000, 'USD');
+    }
+
+    const results = await Promise.all(
+      bids.map(({ userId, amount }, index) =>
+        instances[index % instances.length].placeBid(
+          auction.id,
+          userId,
+          amount,
+          `bid-${index}`,
+          'USD'
+        )
+      )
+    );
+    await settle();
+
+    const accepted = results.filter((result) => result.success);
+    expect(accepted.length).toBeGreaterThan(0);
+
+    const { record } = await coordinator.get(auction.id);
+    const history = record.bidHistory.filter(({ type }) => type === 'bid');
+    expect(history).toHaveLength(accepted.length);
+    history.slice(1).forEach((entry, index) => {
+      expect(entry.amount).toBeGreaterThan(history[index].amount);
+    });
+
+    const highest = Math.max(...accepted.map(({ newBid }) => newBid));
+    expect(record.currentBid).toBe(highest);
+    instances.forEach((instance) => {
+      expect(instance.getAuction(auction.id).currentBid).toBe(highest);
+    });
+  });
+});
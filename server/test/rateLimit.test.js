@@ -0,0 +1,181 @@
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), 'auctionmania-test-uploads');
+process.env.JWT_SECRET = 'test-secret';
+const BAN_THRESHOLD = 5;
+process.env.RATE_LIMIT_BAN_THRESHOLD = String(BAN_THRESHOLD);
+// Small buckets that do not refill during the run.
+const slow = (capacity) => ({ capacity, refillPerSecond: 0.01 });
+process.env.RATE_LIMITS = JSON.stringify({
+  read: { ip: slow(3) },
+  write: { user: slow(2), ip: slow(100) },
+  BID_PLACED: { user: slow(2) },
+  socket: { user: slow(2) },
+});
+
+const { createServer } = require('../src/index');
+const AuctionService = require('../src/services/AuctionService');
+const UserService = require('../src/services/UserService');
+const RateLimiter = require('../src/services/RateLimiter');
+const { listen, connect, emitWithAck } = require('./helpers');
+
+const nextEvent = (socket, event) => new Promise((resolve) => socket.once(event, resolve));
+
+function expectRateLimited(response, body) {
+  expect(response.status).toBe(429);
+  expect(body).toMatchObject({ success: false, code: 'RATE_LIMITED' });
+  expect(body.retryAfter).toBeGreaterThan(0);
+  expect(response.headers.get('Retry-After')).toBe(String(Math.ceil(body.retryAfter / 1000)));
+}
+
+describe('rate limiting', () => {
+  let io;
+  let url;
+  let auctionId;
+  const sockets = [];
+
+  const register = (username) => UserService.register(username, 'password123');
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const instance = createServer();
+    io = instance.io;
+    url = await listen(instance.server);
+    auctionId = AuctionService.getAllAuctions()[0].id;
+  });
+
+  // Every request here comes from the same IP, so each test starts clean.
+  beforeEach(() => {
+    RateLimiter.buckets.clear();
+    RateLimiter.violations.clear();
+    RateLimiter.bans.clear();
+  });
+
+  afterAll(() => {
+    sockets.forEach((socket) => socket.close());
+    io.close();
+    jest.restoreAllMocks();
+  });
+
+  test('limits HTTP reads per IP', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await fetch(`${url}/items`)).status).toBe(200);
+    }
+
+    const response = await fetch(`${url}/items`);
+    expectRateLimited(response, await response.json());
+  });
+
+  test('limits HTTP writes per user', async () => {
+    const watch = (token) =>
+      fetch(`${url}/me/watchlist/${auctionId}`, {
+        method: 'PUT',
+        headers: { Authorization: `Bearer ${token}` },
+      });
+    const first = register('limit_writer_1');
+    const second = register('limit_writer_2');
+
+    expect((await watch(first.token)).ok).toBe(true);
+    expect((await watch(first.token)).ok).toBe(true);
+
+    const response = await watch(first.token);
+    expectRateLimited(response, await response.json());
+
+    // Same IP, different user.
+    expect((await watch(second.token)).ok).toBe(true);
+  });
+
+  test('answers limited socket events with RATE_LIMITED', async () => {
+    const socket = await connect(url, register('limit_socket').token);
+    sockets.push(socket);
+
+    socket.emit('HEARTBEAT', {});
+    socket.emit('HEARTBEAT', {});
+    const limited = nextEvent(socket, 'RATE_LIMITED');
+    socket.emit('HEARTBEAT', {});
+
+    expect(await limited).toMatchObject({
+      code: 'RATE_LIMITED',
+      event: 'HEARTBEAT',
+      disconnected: false,
+      retryAfter: expect.any(Number),
+    });
+
+    const bid = (bidId) =>
+      emitWithAck(socket, 'BID_PLACED', { auctionId, amount: 1000000, currency: 'USD', bidId });
+    await bid('limited-1');
+    await bid('limited-2');
+
+    expect(await bid('limited-3')).toMatchObject({
+      bidId: 'limited-3',
+      auctionId,
+      status: 'rejected',
+      code: 'RATE_LIMITED',
+      event: 'BID_PLACED',
+      disconnected: false,
+      retryAfter: expect.any(Number),
+    });
+    expect(socket.connected).toBe(true);
+  });
+
+  test('disconnects repeat offenders and refuses them until the ban ends', async () => {
+    const { token } = register('limit_offender');
+    const socket = await connect(url, token);
+    sockets.push(socket);
+
+    const notices = [];
+    socket.on('RATE_LIMITED', (notice) => notices.push(notice));
+    const disconnected = nextEvent(socket, 'disconnect');
+
+    // Two fit in the bucket; every one after that is a violation.
+    for (let i = 0; i < 2 + BAN_THRESHOLD; i++) {
+      socket.emit('HEARTBEAT', {});
+    }
+
+    expect(await disconnected).toBe('io server disconnect');
+    // The ban notice goes to the socket and to every socket of the user.
+    expect(notices).toHaveLength(BAN_THRESHOLD + 1);
+    notices.slice(0, BAN_THRESHOLD - 1).forEach((notice) => {
+      expect(notice.disconnected).toBe(false);
+    });
+    expect(notices[BAN_THRESHOLD - 1]).toMatchObject({ disconnected: true, retryAfter: 60 * 1000 });
+
+    const refused = await connect(url, token).catch((error) => error);
+    expect(refused).toBeInstanceOf(Error);
+    expect(refused.data).toMatchObject({ code: 'RATE_LIMITED' });
+    expect(refused.data.retryAfter).toBeGreaterThan(0);
+  });
+
+  test('bans an IP that keeps going over HTTP limits, whatever the account', async () => {
+    const socket = await connect(url, register('limit_neighbour').token);
+    sockets.push(socket);
+
+    for (let i = 0; i < 3 + BAN_THRESHOLD - 1; i++) {
+      await fetch(`${url}/items`);
+    }
+
+    const banned = await fetch(`${url}/items`);
+    const body = await banned.json();
+    expectRateLimited(banned, body);
+    expect(body.retryAfter).toBe(60 * 1000);
+
+    const signup = await fetch(`${url}/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'limit_fresh', password: 'password123' }),
+    });
+    expectRateLimited(signup, await signup.json());
+
+    const refused = await connect(url, register('limit_other').token).catch((error) => error);
+    expect(refused.data).toMatchObject({ code: 'RATE_LIMITED' });
+
+    // Sockets already open from that IP go on their next event.
+    const disconnected = nextEvent(socket, 'disconnect');
+    const notice = nextEvent(socket, 'RATE_LIMITED');
+    socket.emit('HEARTBEAT', {});
+    expect(await notice).toMatchObject({ disconnected: true });
+    expect(await disconnected).toBe('io server disconnect');
+  });
+});
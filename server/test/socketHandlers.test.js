@@ -0,0 +1,142 @@
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), 'auctionmania-test-uploads');
+process.env.JWT_SECRET = 'test-secret';
+
+const { createServer } = require('../src/index');
+const AuctionService = require('../src/services/AuctionService');
+const UserService = require('../src/services/UserService');
+const WalletService = require('../src/services/WalletService');
+const { listen, connect, emitWithAck } = require('./helpers');
+
+const nextEvent = (socket, event) => new Promise((resolve) => socket.once(event, resolve));
+
+describe('socket handlers', () => {
+  let io;
+  let url;
+  let socket;
+  let auctionId;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const instance = createServer();
+    io = instance.io;
+    const { token } = UserService.register('handler_user', 'password123');
+    url = await listen(instance.server);
+    socket = await connect(url, token);
+    auctionId = AuctionService.getAllAuctions()[0].id;
+  });
+
+  afterAll(() => {
+    socket.close();
+    io.close();
+    jest.restoreAllMocks();
+  });
+
+  test('names bidders by handle and tells only the leader they lead', async () => {
+    const bidder = async (username) => {
+      const { user, token } = UserService.register(username, 'password123');
+      await WalletService.deposit(user.id, 10000000, 'USD');
+      const bidderSocket = await connect(url, token);
+      const state = nextEvent(bidderSocket, 'AUCTION_STATE');
+      bidderSocket.emit('JOIN_AUCTION', auctionId);
+      await state;
+      return { id: user.id, socket: bidderSocket };
+    };
+    const alice = await bidder('handle_alice');
+    const bob = await bidder('handle_bob');
+    const ids = [alice.id, bob.id];
+    const payloads = [];
+    const hear = (who, event) => {
+      const heard = nextEvent(who.socket, event);
+      heard.then((payload) => payloads.push(payload));
+      return heard;
+    };
+    const bid = (who, bidId) =>
+      emitWithAck(who.socket, 'BID_PLACED', {
+        auctionId,
+        amount: AuctionService.getAuction(auctionId).minimumNextBid,
+        currency: 'USD',
+        bidId,
+      });
+
+    try {
+      await bid(alice, 'handle-1');
+      const [aliceUpdate, bobUpdate, outbid] = [
+        hear(alice, 'BID_UPDATE'),
+        hear(bob, 'BID_UPDATE'),
+        hear(alice, 'OUTBID'),
+      ];
+      expect(await bid(bob, 'handle-2')).toMatchObject({ status: 'accepted', youAreLeading: true });
+
+      expect(await bobUpdate).toMatchObject({
+        leaderHandle: 'Bidder 2',
+        previousLeaderHandle: 'Bidder 1',
+        youAreLeading: true,
+      });
+      expect(await aliceUpdate).toMatchObject({ leaderHandle: 'Bidder 2', youAreLeading: false });
+      expect(await outbid).toMatchObject({ outbidBy: 'Bidder 2' });
+
+      const aliceState = hear(alice, 'AUCTION_STATE');
+      alice.socket.emit('GET_AUCTION_STATE', auctionId);
+      expect((await aliceState).auction).toMatchObject({
+        leaderHandle: 'Bidder 2',
+        youAreLeading: false,
+      });
+
+      payloads.forEach((payload) => {
+        ids.forEach((id) => expect(JSON.stringify(payload)).not.toContain(id));
+      });
+    } finally {
+      alice.socket.close();
+      bob.socket.close();
+    }
+  });
+
+  describe('when the service throws', () => {
+    let spies;
+
+    beforeEach(() => {
+      spies = [
+        jest.spyOn(console, 'error').mockImplementation(() => {}),
+        ...['placeBid', 'setMaxBid', 'cancelMaxBid'].map((method) =>
+          jest.spyOn(AuctionService, method).mockRejectedValue(new Error('Disk full'))
+        ),
+      ];
+    });
+
+    afterEach(() => {
+      spies.forEach((spy) => spy.mockRestore());
+    });
+
+    test('still answers a bid', async () => {
+      const ack = await emitWithAck(socket, 'BID_PLACED', {
+        auctionId,
+        amount: 1000000,
+        currency: 'USD',
+        bidId: 'failing-bid',
+      });
+
+      expect(ack).toMatchObject({
+        bidId: 'failing-bid',
+        auctionId,
+        status: 'rejected',
+        code: 'SERVER_ERROR',
+      });
+      expect(ack.message).not.toMatch(/Disk full/);
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    test('reports failed maximum bid changes', async () => {
+      const setError = nextEvent(socket, 'MAX_BID_ERROR');
+      socket.emit('SET_MAX_BID', { auctionId, maxAmount: 1000000, currency: 'USD' });
+      expect(await setError).toMatchObject({ auctionId, code: 'SERVER_ERROR' });
+
+      const cancelError = nextEvent(socket, 'MAX_BID_ERROR');
+      socket.emit('CANCEL_MAX_BID', { auctionId });
+      expect(await cancelError).toMatchObject({ auctionId, code: 'SERVER_ERROR' });
+    });
+  });
+});